@@ -0,0 +1,13 @@
+/* @flow */
+import type { $Response } from "express";
+
+const SyncAgent = require("../lib/sync-agent");
+
+function fetchActivitiesAction(req: Object, res: $Response): void {
+  const syncAgent = new SyncAgent(req.hull);
+
+  res.json({ ok: true });
+  syncAgent.fetchActivities();
+}
+
+module.exports = fetchActivitiesAction;
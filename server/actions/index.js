@@ -1,31 +1,61 @@
 const {
   fieldsContactInbound,
   fieldsContactOutbound,
+  fieldsOpportunityOutbound,
   fieldsLeadInbound,
   fieldsLeadOutbound,
   fieldsStatus,
-  fieldsAccountIdent
+  fieldsLeadOwner,
+  fieldsUsers,
+  fieldsAccountIdent,
+  fieldsAddressPrimary,
+  fieldsMergeStrategy,
+  fieldsActivityTypes
 } = require("./settings-fields");
 const statusCheck = require("./status-check");
 const userUpdate = require("./user-update");
 const accountUpdate = require("./account-update");
 const fetch = require("./fetch");
+const fetchActivities = require("./fetch-activities");
 const adminHandler = require("./admin-handler");
 const triggerLeadsExport = require("./trigger-leads-export");
 const handleLeadsExport = require("./handle-leads-export");
+const leadsExportStatus = require("./leads-export-status");
+const serveExport = require("./serve-export");
+const webhook = require("./webhook");
+const rewindSyncWatermark = require("./sync-watermark");
+const preview = require("./preview");
+const {
+  registerWebhook,
+  unregisterWebhook
+} = require("./webhook-subscription");
 
 module.exports = {
   fieldsContactInbound,
   fieldsContactOutbound,
+  fieldsOpportunityOutbound,
   fieldsLeadInbound,
   fieldsLeadOutbound,
   statusCheck,
   userUpdate,
   accountUpdate,
   fieldsStatus,
+  fieldsLeadOwner,
+  fieldsUsers,
   fetch,
+  fetchActivities,
   adminHandler,
   fieldsAccountIdent,
+  fieldsAddressPrimary,
+  fieldsMergeStrategy,
+  fieldsActivityTypes,
   triggerLeadsExport,
-  handleLeadsExport
+  handleLeadsExport,
+  leadsExportStatus,
+  serveExport,
+  webhook,
+  registerWebhook,
+  unregisterWebhook,
+  rewindSyncWatermark,
+  preview
 };
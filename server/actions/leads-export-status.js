@@ -0,0 +1,14 @@
+/* @flow */
+import type { $Response } from "express";
+
+const SyncAgent = require("../lib/sync-agent");
+
+function leadsExportStatus(req: Object, res: $Response): Promise<any> {
+  const syncAgent = new SyncAgent(req.hull);
+
+  return syncAgent.getLeadsExportStatus().then(status => {
+    res.json(status);
+  });
+}
+
+module.exports = leadsExportStatus;
@@ -0,0 +1,25 @@
+/* @flow */
+import type { $Response } from "express";
+
+const SyncAgent = require("../lib/sync-agent");
+
+function preview(req: Object, res: $Response): Promise<any> {
+  const syncAgent = new SyncAgent(req.hull);
+  const { type = "account", search, limit } = req.body || {};
+
+  return syncAgent
+    .fetchPreviewMessages(type, search, Math.min(parseInt(limit, 10) || 10, 50))
+    .then(messages => {
+      return type === "user"
+        ? syncAgent.previewUserMessages(messages)
+        : syncAgent.previewAccountMessages(messages);
+    })
+    .then(results => {
+      res.json({ ok: true, type, results });
+    })
+    .catch(error => {
+      res.status(400).json({ ok: false, error: error.message });
+    });
+}
+
+module.exports = preview;
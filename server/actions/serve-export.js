@@ -0,0 +1,41 @@
+/* @flow */
+import type { $Request, $Response } from "express";
+
+const {
+  createExportStorage,
+  LocalExportStorage
+} = require("../lib/export-storage");
+
+function serveExport(req: $Request, res: $Response): void {
+  let exportStorage;
+  try {
+    exportStorage = createExportStorage({ hostname: req.hostname });
+  } catch (error) {
+    res.status(404).end();
+    return;
+  }
+  // Files in S3 are downloaded from S3 directly
+  if (!(exportStorage instanceof LocalExportStorage)) {
+    res.status(404).end();
+    return;
+  }
+
+  const fileStream = exportStorage.createReadStream(
+    req.params[0],
+    String(req.query.expires),
+    String(req.query.signature)
+  );
+  if (fileStream === null || fileStream === undefined) {
+    res.status(404).end();
+    return;
+  }
+
+  res.set({
+    "Content-Type": "application/json",
+    "Content-Encoding": "gzip"
+  });
+  fileStream.on("error", () => res.status(500).end());
+  fileStream.pipe(res);
+}
+
+module.exports = serveExport;
@@ -3,19 +3,42 @@ import type { $Response } from "express";
 import type { THullRequest } from "hull";
 
 const SyncAgent = require("../lib/sync-agent");
+const ACTIVITY_TYPEDEFS = require("../lib/sync-agent/activity-typedefs");
 
-function fieldsContactInbound(req: THullRequest, res: $Response): $Response {
+function fieldsContactInbound(req: THullRequest, res: $Response): void {
   const syncAgent = new SyncAgent(req.hull);
-  return res.json({
-    options: syncAgent.getContactFieldOptionsInbound()
-  });
+  syncAgent
+    .getContactFieldOptionsInbound()
+    .then(options => {
+      res.json({ options });
+    })
+    .catch(() => {
+      res.json({ options: [] });
+    });
 }
 
-function fieldsContactOutbound(req: THullRequest, res: $Response): $Response {
+function fieldsContactOutbound(req: THullRequest, res: $Response): void {
   const syncAgent = new SyncAgent(req.hull);
-  return res.json({
-    options: syncAgent.getContactFieldOptionsOutbound()
-  });
+  syncAgent
+    .getContactFieldOptionsOutbound()
+    .then(options => {
+      res.json({ options });
+    })
+    .catch(() => {
+      res.json({ options: [] });
+    });
+}
+
+function fieldsOpportunityOutbound(req: THullRequest, res: $Response): void {
+  const syncAgent = new SyncAgent(req.hull);
+  syncAgent
+    .getOpportunityFieldOptionsOutbound()
+    .then(options => {
+      res.json({ options });
+    })
+    .catch(() => {
+      res.json({ options: [] });
+    });
 }
 
 function fieldsLeadInbound(req: THullRequest, res: $Response): void {
@@ -54,6 +77,30 @@ function fieldsStatus(req: THullRequest, res: $Response): void {
     });
 }
 
+function fieldsLeadOwner(req: THullRequest, res: $Response): void {
+  const syncAgent = new SyncAgent(req.hull);
+  syncAgent
+    .getLeadOwnerFields()
+    .then(options => {
+      res.json({ options });
+    })
+    .catch(() => {
+      res.json({ options: [] });
+    });
+}
+
+function fieldsUsers(req: THullRequest, res: $Response): void {
+  const syncAgent = new SyncAgent(req.hull);
+  syncAgent
+    .getUsers()
+    .then(options => {
+      res.json({ options });
+    })
+    .catch(() => {
+      res.json({ options: [] });
+    });
+}
+
 function fieldsAccountIdent(req: THullRequest, res: $Response): $Response {
   return res.json({
     options: [
@@ -69,11 +116,63 @@ function fieldsAccountIdent(req: THullRequest, res: $Response): $Response {
   });
 }
 
+function fieldsAddressPrimary(req: THullRequest, res: $Response): $Response {
+  return res.json({
+    options: [
+      {
+        value: "first",
+        label: "First address in Close.io"
+      },
+      {
+        value: "last",
+        label: "Last address in Close.io"
+      },
+      {
+        value: "most_complete",
+        label: "Address with the most fields"
+      }
+    ]
+  });
+}
+
+function fieldsMergeStrategy(req: THullRequest, res: $Response): $Response {
+  return res.json({
+    options: [
+      {
+        value: "replace",
+        label: "Replace"
+      },
+      {
+        value: "append-unique",
+        label: "Add new values"
+      },
+      {
+        value: "set-if-empty",
+        label: "Only set if empty"
+      }
+    ]
+  });
+}
+
+function fieldsActivityTypes(req: THullRequest, res: $Response): $Response {
+  return res.json({
+    options: ACTIVITY_TYPEDEFS.map(t => {
+      return { value: t.id, label: t.label };
+    })
+  });
+}
+
 module.exports = {
   fieldsContactInbound,
   fieldsContactOutbound,
+  fieldsOpportunityOutbound,
   fieldsLeadInbound,
   fieldsLeadOutbound,
   fieldsStatus,
-  fieldsAccountIdent
+  fieldsLeadOwner,
+  fieldsUsers,
+  fieldsAccountIdent,
+  fieldsAddressPrimary,
+  fieldsMergeStrategy,
+  fieldsActivityTypes
 };
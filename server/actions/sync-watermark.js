@@ -0,0 +1,20 @@
+/* @flow */
+import type { $Response } from "express";
+
+const SyncAgent = require("../lib/sync-agent");
+
+function rewindSyncWatermark(req: Object, res: $Response): Promise<any> {
+  const syncAgent = new SyncAgent(req.hull);
+  const { type, date } = req.body || {};
+
+  return syncAgent
+    .rewindSyncWatermark(type, date)
+    .then(() => {
+      res.json({ ok: true, watermarks: syncAgent.getSyncWatermarks() });
+    })
+    .catch(error => {
+      res.status(400).json({ ok: false, error: error.message });
+    });
+}
+
+module.exports = rewindSyncWatermark;
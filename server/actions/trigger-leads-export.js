@@ -3,11 +3,17 @@ import type { $Response } from "express";
 
 const SyncAgent = require("../lib/sync-agent");
 
-function triggerLeadsExportAction(req: Object, res: $Response): void {
+function triggerLeadsExportAction(req: Object, res: $Response): Promise<any> {
   const syncAgent = new SyncAgent(req.hull);
 
-  res.json({ ok: true });
-  syncAgent.triggerLeadsExport();
+  return syncAgent
+    .triggerLeadsExport()
+    .then(state => {
+      res.json({ ok: true, export: state });
+    })
+    .catch(error => {
+      res.status(400).json({ ok: false, error: error.message });
+    });
 }
 
 module.exports = triggerLeadsExportAction;
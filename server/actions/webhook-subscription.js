@@ -0,0 +1,38 @@
+/* @flow */
+import type { $Response } from "express";
+
+const SyncAgent = require("../lib/sync-agent");
+
+function registerWebhook(req: Object, res: $Response): Promise<any> {
+  const syncAgent = new SyncAgent(req.hull);
+  const url = `https://${req.hull.hostname}/webhook?token=${
+    req.hull.clientCredentialsToken
+  }`;
+
+  return syncAgent
+    .registerWebhook(url)
+    .then(() => {
+      res.json({ ok: true });
+    })
+    .catch(error => {
+      res.status(500).json({ ok: false, error: error.message });
+    });
+}
+
+function unregisterWebhook(req: Object, res: $Response): Promise<any> {
+  const syncAgent = new SyncAgent(req.hull);
+
+  return syncAgent
+    .unregisterWebhook()
+    .then(() => {
+      res.json({ ok: true });
+    })
+    .catch(error => {
+      res.status(500).json({ ok: false, error: error.message });
+    });
+}
+
+module.exports = {
+  registerWebhook,
+  unregisterWebhook
+};
@@ -0,0 +1,28 @@
+/* @flow */
+import type { $Response } from "express";
+
+const _ = require("lodash");
+const SyncAgent = require("../lib/sync-agent");
+
+function webhookAction(req: Object, res: $Response): $Response | void {
+  const syncAgent = new SyncAgent(req.hull);
+
+  if (
+    !syncAgent.isValidWebhookSignature(
+      req.rawBody,
+      req.get("close-sig-timestamp"),
+      req.get("close-sig-hash")
+    )
+  ) {
+    req.hull.client.logger.error("incoming.webhook.error", {
+      reason: "Invalid or expired signature."
+    });
+    return res.status(401).json({ ok: false });
+  }
+
+  res.json({ ok: true });
+  syncAgent.handleWebhookEvent(_.get(req.body, "event"));
+  return undefined;
+}
+
+module.exports = webhookAction;
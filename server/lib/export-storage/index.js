@@ -0,0 +1,58 @@
+/* @flow */
+const os = require("os");
+const path = require("path");
+
+const S3ExportStorage = require("./s3-export-storage");
+const LocalExportStorage = require("./local-export-storage");
+
+// the development default of the connector's SECRET
+const DEFAULT_SECRET = "1234";
+
+/**
+ * Creates the storage for the parts of the leads export as configured by
+ * the environment variable `EXPORT_STORAGE`, which is either `s3` or `local`.
+ * Defaults to S3 if a bucket is configured and to the local disk otherwise.
+ * The local disk requires a real `SECRET` to sign the download urls.
+ *
+ * @param {Object} options The hostname of the connector, used as default public url.
+ * @returns {S3ExportStorage | LocalExportStorage} The export storage.
+ */
+function createExportStorage(options: {
+  hostname: string
+}): S3ExportStorage | LocalExportStorage {
+  const {
+    EXPORT_STORAGE,
+    AWS_S3_BUCKET,
+    EXPORT_STORAGE_PATH,
+    EXPORT_STORAGE_URL,
+    SECRET
+  } = process.env;
+  const storageType = EXPORT_STORAGE || (AWS_S3_BUCKET ? "s3" : "local");
+
+  if (storageType === "s3") {
+    return new S3ExportStorage(AWS_S3_BUCKET);
+  }
+
+  if (storageType === "local") {
+    // Without a secret anybody could sign urls to download the exports
+    if (!SECRET || SECRET === DEFAULT_SECRET) {
+      throw new Error(
+        "The local export storage requires the environment variable SECRET."
+      );
+    }
+    return new LocalExportStorage({
+      directory:
+        EXPORT_STORAGE_PATH || path.join(os.tmpdir(), "hull-closeio-exports"),
+      baseUrl: EXPORT_STORAGE_URL || `https://${options.hostname}`,
+      secret: SECRET
+    });
+  }
+
+  throw new Error(`Unknown export storage '${storageType}'.`);
+}
+
+module.exports = {
+  createExportStorage,
+  S3ExportStorage,
+  LocalExportStorage
+};
@@ -0,0 +1,184 @@
+/* @flow */
+import type { Readable } from "stream";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Creates the directory and all missing parent directories.
+ *
+ * @param {string} directory The absolute path of the directory.
+ * @returns {void}
+ */
+function ensureDirectory(directory: string): void {
+  if (fs.existsSync(directory)) {
+    return;
+  }
+  ensureDirectory(path.dirname(directory));
+  fs.mkdirSync(directory);
+}
+
+/**
+ * Stores the parts of the leads export on the local disk of the connector,
+ * Hull downloads them through signed urls served by the `/exports` route.
+ * Every export overwrites the parts of the previous one.
+ */
+class LocalExportStorage {
+  /**
+   * Gets or sets the name of the bucket, used to satisfy the import stream.
+   *
+   * @type {string}
+   * @memberof LocalExportStorage
+   */
+  bucket: string;
+
+  /**
+   * Gets or sets the directory to store the files in.
+   *
+   * @type {string}
+   * @memberof LocalExportStorage
+   */
+  directory: string;
+
+  /**
+   * Gets or sets the public base url of the connector.
+   *
+   * @type {string}
+   * @memberof LocalExportStorage
+   */
+  baseUrl: string;
+
+  /**
+   * Gets or sets the secret to sign urls with.
+   *
+   * @type {string}
+   * @memberof LocalExportStorage
+   */
+  secret: string;
+
+  /**
+   * Creates an instance of LocalExportStorage.
+   * @param {Object} config The directory, public base url and secret to sign urls.
+   * @memberof LocalExportStorage
+   */
+  constructor(config: { directory: string, baseUrl: string, secret: string }) {
+    this.bucket = "local";
+    this.directory = path.resolve(config.directory);
+    this.baseUrl = config.baseUrl.replace(/\/$/, "");
+    this.secret = config.secret;
+  }
+
+  /**
+   * Resolves the key to a path within the storage directory.
+   *
+   * @param {string} key The key of the file.
+   * @returns {string} The absolute path of the file.
+   * @memberof LocalExportStorage
+   */
+  getFilePath(key: string): string {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Invalid key '${key}' for the export storage.`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Writes the body stream to the file with the given key.
+   *
+   * @param {Object} params The upload parameters, at least `Key` and `Body`.
+   * @returns {Object} The upload with `promise()` and `abort()` like an S3 managed upload.
+   * @memberof LocalExportStorage
+   */
+  upload(params: { Key: string, Body: Readable }): Object {
+    const filePath = this.getFilePath(params.Key);
+    ensureDirectory(path.dirname(filePath));
+    const fileStream = fs.createWriteStream(filePath);
+    const uploadPromise = new Promise((resolve, reject) => {
+      params.Body.on("error", reject);
+      fileStream.on("error", reject);
+      fileStream.on("finish", () => resolve({ Key: params.Key }));
+    });
+    params.Body.pipe(fileStream);
+
+    return {
+      promise: () => uploadPromise,
+      abort: () => {
+        params.Body.unpipe(fileStream);
+        fileStream.destroy(new Error("Upload aborted"));
+      }
+    };
+  }
+
+  /**
+   * Computes the signature of the download url of a file.
+   *
+   * @param {string} key The key of the file.
+   * @param {number} expires The unix timestamp in seconds the url expires at.
+   * @returns {string} The signature.
+   * @memberof LocalExportStorage
+   */
+  sign(key: string, expires: number): string {
+    return crypto
+      .createHmac("sha256", this.secret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+  }
+
+  /**
+   * Creates an url to download the file with the given key.
+   *
+   * @param {string} operation The operation to sign, only `getObject` is supported.
+   * @param {Object} params The parameters with `Key` and `Expires` in seconds.
+   * @returns {string} The signed url.
+   * @memberof LocalExportStorage
+   */
+  getSignedUrl(
+    operation: string,
+    params: { Key: string, Expires: number }
+  ): string {
+    const expires = Math.floor(Date.now() / 1000) + params.Expires;
+    const signature = this.sign(params.Key, expires);
+    return `${this.baseUrl}/exports/${params.Key.split("/")
+      .map(encodeURIComponent)
+      .join("/")}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Opens the file with the given key if the signature of the url is valid.
+   *
+   * @param {string} key The key of the file.
+   * @param {string} expires The expiry of the url from the query string.
+   * @param {string} signature The signature from the query string.
+   * @returns {?Readable} The stream of the file or null if the url is invalid or expired.
+   * @memberof LocalExportStorage
+   */
+  createReadStream(key: string, expires: string, signature: string): ?Readable {
+    const expiresAt = parseInt(expires, 10);
+    if (
+      Number.isNaN(expiresAt) ||
+      expiresAt < Math.floor(Date.now() / 1000) ||
+      typeof signature !== "string"
+    ) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+
+    const filePath = this.getFilePath(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+}
+
+module.exports = LocalExportStorage;
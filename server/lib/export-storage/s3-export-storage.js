@@ -0,0 +1,67 @@
+/* @flow */
+import type { Readable } from "stream";
+
+const AWS = require("aws-sdk");
+
+/**
+ * Stores the parts of the leads export in an S3 bucket,
+ * Hull downloads them through signed urls.
+ */
+class S3ExportStorage {
+  /**
+   * Gets or sets the name of the S3 bucket.
+   *
+   * @type {string}
+   * @memberof S3ExportStorage
+   */
+  bucket: string;
+
+  /**
+   * Gets or sets the S3 client.
+   *
+   * @type {AWS.S3}
+   * @memberof S3ExportStorage
+   */
+  s3: AWS.S3;
+
+  /**
+   * Creates an instance of S3ExportStorage.
+   * @param {string} bucket The name of the S3 bucket.
+   * @memberof S3ExportStorage
+   */
+  constructor(bucket: string) {
+    this.bucket = bucket;
+    this.s3 = new AWS.S3();
+  }
+
+  /**
+   * Uploads the body stream to the given key.
+   *
+   * @param {Object} params The upload parameters, at least `Key` and `Body`.
+   * @returns {Object} The managed upload with `promise()` and `abort()`.
+   * @memberof S3ExportStorage
+   */
+  upload(params: { Key: string, Body: Readable }): Object {
+    return this.s3.upload(Object.assign({}, params, { Bucket: this.bucket }));
+  }
+
+  /**
+   * Creates an url to download the object with the given key.
+   *
+   * @param {string} operation The operation to sign, only `getObject` is supported.
+   * @param {Object} params The parameters with `Key` and `Expires` in seconds.
+   * @returns {string} The signed url.
+   * @memberof S3ExportStorage
+   */
+  getSignedUrl(
+    operation: string,
+    params: { Key: string, Expires: number }
+  ): string {
+    return this.s3.getSignedUrl(
+      operation,
+      Object.assign({}, params, { Bucket: this.bucket })
+    );
+  }
+}
+
+module.exports = S3ExportStorage;
@@ -1,5 +1,4 @@
 /* @flow */
-import type { Readable } from "stream";
 import type {
   UserUpdateEnvelope,
   AccountUpdateEnvelope,
@@ -13,11 +12,21 @@ import type {
   CioContactWrite,
   CioContactRead,
   CioEmailRead,
+  CioNoteWrite,
+  CioNoteRead,
+  CioActivityRead,
+  CioLeadOpportunityRead,
+  CioOpportunityWrite,
+  CioOpportunityStatus,
+  CioUser,
+  CioWebhookSubscription,
   CioServiceClientConfiguration,
+  CioLeadsCursor,
   SuperAgentResponse
 } from "./types";
 
 const _ = require("lodash");
+const { Readable } = require("stream");
 const { DateTime } = require("luxon");
 const debug = require("debug")("hull-closeio:service-client");
 const { promiseToReadableStream } = require("hull/lib/utils");
@@ -37,6 +46,9 @@ const { ConfigurationError } = require("hull/lib/errors");
 
 const throttlePool = {};
 
+const THROTTLE_RATE = parseInt(process.env.THROTTLE_RATE, 10) || 40;
+const THROTTLE_RATE_PER = parseInt(process.env.THROTTLE_RATE_PER, 10) || 1000;
+
 class ServiceClient {
   /**
    * Gets or sets the url prefix for all API calls.
@@ -79,6 +91,32 @@ class ServiceClient {
    */
   apiKey: string;
 
+  /**
+   * Gets or sets the number of retries for requests which
+   * are rate limited or fail with a transient server error.
+   *
+   * @type {number}
+   * @memberof ServiceClient
+   */
+  retryMaxAttempts: number;
+
+  /**
+   * Gets or sets the delay in milliseconds before the first retry,
+   * the delay doubles with every further retry.
+   *
+   * @type {number}
+   * @memberof ServiceClient
+   */
+  retryBaseDelay: number;
+
+  /**
+   * Gets or sets the maximum delay in milliseconds between two retries.
+   *
+   * @type {number}
+   * @memberof ServiceClient
+   */
+  retryMaxDelay: number;
+
   /**
    *Creates an instance of ServiceClient.
    * @param {CioServiceClientConfiguration} config The configuration to set up the client.
@@ -89,12 +127,18 @@ class ServiceClient {
     this.apiKey = config.apiKey;
     this.loggerClient = config.loggerClient;
     this.metricsClient = config.metricsClient;
+    this.retryMaxAttempts =
+      parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) >= 0
+        ? parseInt(process.env.RETRY_MAX_ATTEMPTS, 10)
+        : 3;
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY, 10) || 1000;
+    this.retryMaxDelay = parseInt(process.env.RETRY_MAX_DELAY, 10) || 30000;
 
     throttlePool[this.apiKey] =
       throttlePool[this.apiKey] ||
       new SuperagentThrottle({
-        rate: parseInt(process.env.THROTTLE_RATE, 10) || 40, // how many requests can be sent every `ratePer`
-        ratePer: parseInt(process.env.THROTTLE_RATE_PER, 10) || 1000 // number of ms in which `rate` requests may be sent
+        rate: THROTTLE_RATE, // how many requests can be sent every `ratePer`
+        ratePer: THROTTLE_RATE_PER // number of ms in which `rate` requests may be sent
       });
 
     const throttle = throttlePool[this.apiKey];
@@ -115,7 +159,7 @@ class ServiceClient {
       .on("response", res => {
         const limit = _.get(res.header, "x-rate-limit-limit");
         const remaining = _.get(res.header, "x-rate-limit-remaining");
-        // const reset = _.get(res.header, "x-rate-limit-reset");
+        const reset = _.get(res.header, "x-rate-limit-reset");
         if (remaining !== undefined) {
           this.metricsClient.value("ship.service_api.remaining", remaining);
         }
@@ -123,12 +167,85 @@ class ServiceClient {
         if (limit !== undefined) {
           this.metricsClient.value("ship.service_api.limit", limit);
         }
+
+        ServiceClient.adaptThrottle(throttle, remaining, reset);
       })
       .set({ "Content-Type": "application/json" })
       .auth(this.apiKey, "")
       .ok(res => res.status === 200); // we reject the promise for all non 200 responses
   }
 
+  /**
+   * Slows down the throttle when close.io reports that only a few requests
+   * are left in the current rate limit window and restores the configured
+   * rate once the window has been reset.
+   *
+   * @static
+   * @param {SuperagentThrottle} throttle The throttle to adjust.
+   * @param {?string} remaining The value of the `x-rate-limit-remaining` header.
+   * @param {?string} reset The value of the `x-rate-limit-reset` header in seconds.
+   * @memberof ServiceClient
+   */
+  static adaptThrottle(
+    throttle: SuperagentThrottle,
+    remaining: ?string,
+    reset: ?string
+  ): void {
+    const remainingRequests = parseInt(remaining, 10);
+    const resetSeconds = parseFloat(reset);
+    if (_.isNaN(remainingRequests) || _.isNaN(resetSeconds)) {
+      return;
+    }
+
+    if (remainingRequests < THROTTLE_RATE) {
+      throttle.options({
+        rate: Math.max(remainingRequests, 1),
+        ratePer: Math.max(Math.ceil(resetSeconds * 1000), THROTTLE_RATE_PER)
+      });
+    } else if (throttle.rate !== THROTTLE_RATE) {
+      throttle.options({ rate: THROTTLE_RATE, ratePer: THROTTLE_RATE_PER });
+    }
+  }
+
+  /**
+   * Executes the request and retries it with an exponential backoff
+   * if close.io responds with a rate limit (429) or a server error (5xx).
+   * The `Retry-After` header takes precedence over the computed delay;
+   * if it exceeds the maximum delay the request fails without retrying,
+   * since any earlier retry would be rejected again.
+   *
+   * @template T
+   * @param {() => Promise<T>} requestFn A function which starts the request.
+   * @param {number} [attempt=0] The number of retries already done.
+   * @returns {Promise<T>} The response of the first successful attempt.
+   * @memberof ServiceClient
+   */
+  withRetries<T>(requestFn: () => Promise<T>, attempt: number = 0): Promise<T> {
+    return requestFn().catch(error => {
+      const status = _.get(error, "response.status", _.get(error, "status"));
+      const isRetryable = status === 429 || (status >= 500 && status < 600);
+      if (!isRetryable || attempt >= this.retryMaxAttempts) {
+        return Promise.reject(error);
+      }
+
+      const retryAfter = parseFloat(
+        _.get(error, "response.header.retry-after")
+      );
+      if (!_.isNaN(retryAfter) && retryAfter * 1000 > this.retryMaxDelay) {
+        return Promise.reject(error);
+      }
+      const delay = _.isNaN(retryAfter)
+        ? Math.min(this.retryBaseDelay * 2 ** attempt, this.retryMaxDelay)
+        : Math.ceil(retryAfter * 1000);
+      debug("retrying request", { status, attempt, delay });
+      this.metricsClient.increment("ship.service_api.retry", 1);
+
+      return new Promise(resolve => setTimeout(resolve, delay)).then(() =>
+        this.withRetries(requestFn, attempt + 1)
+      );
+    });
+  }
+
   /**
    * Lists or searches all leads that match the given parameters.
    *
@@ -157,42 +274,127 @@ class ServiceClient {
   }
 
   /**
-   * Fetches all updated leads from close.io.
+   * Formats the date in the format close.io expects
+   * for date comparisons in search queries.
    *
-   * @returns {Promise<any[]>} The list of updated leads.
-   * @memberof Agent
+   * @static
+   * @param {DateTime} date The date to format.
+   * @returns {string} The date in UTC with second precision.
+   * @memberof ServiceClient
    */
-  getLeadsStream(since: DateTime): Readable {
-    const utcSince = since.toUTC();
-    const updatedAfter = utcSince.toISODate();
-    const updatedAfterTime = utcSince.toLocaleString(
+  static formatQueryDate(date: DateTime): string {
+    const utcDate = date.toUTC();
+    return `${utcDate.toISODate()}T${utcDate.toLocaleString(
       DateTime.TIME_24_WITH_SECONDS
-    );
-    const q = `updated >= ${updatedAfter}T${updatedAfterTime}`;
+    )}`;
+  }
 
-    return promiseToReadableStream(push => {
-      return this.getLeads(q, 100, 0).then(res => {
-        push(res.body.data);
-        const apiOps = [];
-        if (
-          res.body.has_more === true &&
-          res.body.total_results !== undefined
-        ) {
-          const totalPages = Math.ceil(res.body.total_results / 100);
-          for (let page = 1; page < totalPages; page += 1) {
-            // eslint-disable-line no-plusplus
-            apiOps.push(this.getLeads(q, 100, page * 100));
-          }
+  /**
+   * Fetches all leads updated since the given date page by page,
+   * ordered by their update date. Every page starts after the last lead
+   * of the previous page instead of using an offset, so leads which are
+   * updated during the fetch move to the end and are never skipped.
+   * The next page is only requested once the stream is read again.
+   * Failed pages are retried like all other requests.
+   *
+   * Every chunk contains the leads of a page and the cursor pointing
+   * behind them, which can be passed in to resume the fetch.
+   *
+   * @param {DateTime} since The date to fetch updated leads from.
+   * @param {?CioLeadsCursor} cursor The cursor to resume a previous fetch from.
+   * @returns {Readable} The stream of pages.
+   * @memberof ServiceClient
+   */
+  getLeadsStream(since: DateTime, cursor: ?CioLeadsCursor = null): Readable {
+    const limit = 100;
+    let currentCursor: CioLeadsCursor = cursor || {
+      updated_at: ServiceClient.formatQueryDate(since),
+      ids: [],
+      skip: 0
+    };
+    let done = false;
+    let fetching = false;
+    const client = this;
+
+    return new Readable({
+      objectMode: true,
+      highWaterMark: 1,
+      read() {
+        if (fetching) {
+          return;
         }
-        return Promise.all(apiOps).then(results => {
-          results.forEach(result => {
-            push(result.body.data);
-          });
-        });
-      });
+        if (done) {
+          this.push(null);
+          return;
+        }
+        fetching = true;
+        const q = `updated >= ${currentCursor.updated_at} sort:date_updated`;
+        client
+          .withRetries(() => client.getLeads(q, limit, currentCursor.skip))
+          .then(res => {
+            const leads = _.get(res, "body.data", []);
+            const newLeads = _.reject(leads, lead =>
+              _.includes(currentCursor.ids, lead.id)
+            );
+            done = res.body.has_more !== true || leads.length === 0;
+            currentCursor = ServiceClient.getNextLeadsCursor(
+              currentCursor,
+              leads
+            );
+            fetching = false;
+            this.push({ leads: newLeads, cursor: currentCursor });
+          })
+          .catch(error => this.destroy(error));
+      }
     });
   }
 
+  /**
+   * Determines the cursor pointing behind the given page of leads.
+   * The cursor remembers the ids of the leads updated in the same second
+   * as the last lead, since the search only has a precision of seconds.
+   * If the whole page has been updated within the same second, the
+   * cursor falls back to skip the leads of the page.
+   *
+   * @static
+   * @param {CioLeadsCursor} cursor The cursor the page has been fetched with.
+   * @param {Array<CioLeadRead>} leads The leads of the page.
+   * @returns {CioLeadsCursor} The cursor to fetch the next page.
+   * @memberof ServiceClient
+   */
+  static getNextLeadsCursor(
+    cursor: CioLeadsCursor,
+    leads: Array<CioLeadRead>
+  ): CioLeadsCursor {
+    if (leads.length === 0) {
+      return cursor;
+    }
+
+    const getUpdatedAt = lead =>
+      ServiceClient.formatQueryDate(
+        DateTime.fromISO(lead.date_updated, { zone: "utc" })
+      );
+    const lastUpdatedAt = getUpdatedAt(_.last(leads));
+    const idsOfLastSecond = _.map(
+      _.filter(leads, lead => getUpdatedAt(lead) === lastUpdatedAt),
+      "id"
+    );
+
+    if (lastUpdatedAt === cursor.updated_at) {
+      return {
+        updated_at: lastUpdatedAt,
+        ids: _.union(cursor.ids, idsOfLastSecond),
+        skip: cursor.skip + leads.length
+      };
+    }
+
+    return {
+      updated_at: lastUpdatedAt,
+      ids: idsOfLastSecond,
+      skip: 0
+    };
+  }
+
   /**
    * Lists of emails history of a lead
    *
@@ -212,6 +414,155 @@ class ServiceClient {
     });
   }
 
+  /**
+   * Fetches a single lead including its contacts.
+   *
+   * @param {string} leadId The id of the lead.
+   * @returns {Promise<CioLeadRead>} The data of the close.io object.
+   * @memberof ServiceClient
+   */
+  getLead(leadId: string): Promise<SuperAgentResponse<CioLeadRead>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get(`/lead/${leadId}/`);
+  }
+
+  /**
+   * Looks up the lead which the given lead has been merged into
+   * by searching the event log for the merge of the lead.
+   *
+   * @param {string} leadId The id of the merged lead.
+   * @returns {Promise<?string>} The id of the destination lead or null if the lead hasn't been merged.
+   * @memberof ServiceClient
+   */
+  getLeadMergeDestination(leadId: string): Promise<?string> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent
+      .get("/event/")
+      .query({
+        object_type: "lead",
+        action: "merged",
+        lead_id: leadId
+      })
+      .then(response => {
+        const destinationId = _.get(
+          response,
+          "body.data[0].data.destination_id",
+          null
+        );
+        return destinationId === leadId ? null : destinationId;
+      });
+  }
+
+  /**
+   * Lists all activities of any type created after the given date.
+   *
+   * @param {DateTime} since The date after which activities have been created.
+   * @param {number} [limit=100] The number of records per page.
+   * @param {number} [skip=0] The number of records to skip.
+   * @returns {Promise<CioListResponse<CioActivityRead>>} The list response.
+   * @memberof ServiceClient
+   */
+  getActivities(
+    since: DateTime,
+    limit: number = 100,
+    skip: number = 0
+  ): Promise<SuperAgentResponse<CioListResponse<CioActivityRead>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get("/activity/").query({
+      date_created__gt: since.toUTC().toISO(),
+      _limit: limit,
+      _skip: skip
+    });
+  }
+
+  /**
+   * Fetches all activities created after the given date.
+   * The activity endpoint doesn't return the total number of results,
+   * so pages are requested one after the other until `has_more` is false.
+   *
+   * @param {DateTime} since The date after which activities have been created.
+   * @returns {Readable} The stream of activity pages.
+   * @memberof ServiceClient
+   */
+  getActivitiesStream(since: DateTime): Readable {
+    return promiseToReadableStream(push => {
+      const fetchPage = skip => {
+        return this.getActivities(since, 100, skip).then(res => {
+          push(res.body.data);
+          if (res.body.has_more === true && res.body.data.length > 0) {
+            return fetchPage(skip + res.body.data.length);
+          }
+          return Promise.resolve();
+        });
+      };
+      return fetchPage(0);
+    });
+  }
+
+  /**
+   * Lists all opportunities of a lead.
+   *
+   * @param {string} leadId The id of the lead.
+   * @param {number} [limit=100] The number of records per page.
+   * @param {number} [skip=0] The number of records to skip.
+   * @returns {Promise<CioListResponse<CioLeadOpportunityRead>>} The list response.
+   * @memberof ServiceClient
+   */
+  getLeadOpportunities(
+    leadId: string,
+    limit: number = 100,
+    skip: number = 0
+  ): Promise<SuperAgentResponse<CioListResponse<CioLeadOpportunityRead>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get("/opportunity/").query({
+      lead_id: leadId,
+      _limit: limit,
+      _skip: skip
+    });
+  }
+
+  /**
+   * Fetches all opportunities of a lead, page by page.
+   *
+   * @param {string} leadId The id of the lead.
+   * @returns {Promise<Array<CioLeadOpportunityRead>>} The list of opportunities.
+   * @memberof ServiceClient
+   */
+  getAllLeadOpportunities(
+    leadId: string
+  ): Promise<Array<CioLeadOpportunityRead>> {
+    const fetchPage = (skip, opportunities) => {
+      return this.getLeadOpportunities(leadId, 100, skip).then(res => {
+        const allOpportunities = _.concat(opportunities, res.body.data);
+        if (res.body.has_more === true && res.body.data.length > 0) {
+          return fetchPage(skip + res.body.data.length, allOpportunities);
+        }
+        return allOpportunities;
+      });
+    };
+    return fetchPage(0, []);
+  }
+
   /**
    * Creates a new lead in close.io.
    *
@@ -235,14 +586,19 @@ class ServiceClient {
     return Promise.all(
       envelopes.map(envelope => {
         const enrichedEnvelope = _.cloneDeep(envelope);
-        return this.postLead(envelope.cioLeadWrite)
+        return this.withRetries(() => this.postLead(envelope.cioLeadWrite))
           .then(response => {
             // $FlowFixMe
             enrichedEnvelope.cioLeadRead = response.body;
             return enrichedEnvelope;
           })
           .catch(error => {
-            enrichedEnvelope.error = error.response.body;
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
             return enrichedEnvelope;
           });
       })
@@ -276,14 +632,19 @@ class ServiceClient {
     return Promise.all(
       envelopes.map(envelope => {
         const enrichedEnvelope = _.cloneDeep(envelope);
-        return this.putLead(envelope.cioLeadWrite)
+        return this.withRetries(() => this.putLead(envelope.cioLeadWrite))
           .then(response => {
             // $FlowFixMe
             enrichedEnvelope.cioLeadRead = response.body;
             return enrichedEnvelope;
           })
           .catch(error => {
-            enrichedEnvelope.error = error.response.body;
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
             return enrichedEnvelope;
           });
       })
@@ -308,6 +669,132 @@ class ServiceClient {
     return this.agent.get("/status/lead/");
   }
 
+  /**
+   * List all opportunity statuses for the organization.
+   *
+   * @returns {Promise<CioListResponse<CioOpportunityStatus>>} The list response.
+   * @memberof ServiceClient
+   */
+  getOpportunityStatuses(): Promise<
+    SuperAgentResponse<CioListResponse<CioOpportunityStatus>>
+  > {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get("/status/opportunity/");
+  }
+
+  /**
+   * List all users of the organizations of the API key.
+   *
+   * @returns {Promise<CioListResponse<CioUser>>} The list response.
+   * @memberof ServiceClient
+   */
+  getUsers(): Promise<SuperAgentResponse<CioListResponse<CioUser>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get("/user/");
+  }
+
+  /**
+   * Creates a new opportunity in close.io.
+   *
+   * @param {CioOpportunityWrite} data The close.io object data.
+   * @returns {Promise<CioLeadOpportunityRead>} The data of the created close.io object.
+   * @memberof ServiceClient
+   */
+  postOpportunity(data: CioOpportunityWrite): Promise<CioLeadOpportunityRead> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.post("/opportunity/").send(data);
+  }
+
+  postOpportunityEnvelopes(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<Array<AccountUpdateEnvelope>> {
+    return Promise.all(
+      envelopes.map(envelope => {
+        const enrichedEnvelope = _.cloneDeep(envelope);
+        return this.withRetries(() =>
+          this.postOpportunity(envelope.cioOpportunityWrite)
+        )
+          .then(response => {
+            // $FlowFixMe
+            enrichedEnvelope.cioOpportunityRead = response.body;
+            return enrichedEnvelope;
+          })
+          .catch(error => {
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
+            return enrichedEnvelope;
+          });
+      })
+    );
+  }
+
+  /**
+   * Updates an existing opportunity in close.io.
+   *
+   * @param {CioOpportunityWrite} data The close.io object data.
+   * @returns {Promise<CioLeadOpportunityRead>} The data of the updated close.io object.
+   * @memberof ServiceClient
+   */
+  putOpportunity(data: CioOpportunityWrite): Promise<CioLeadOpportunityRead> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    if (data.id === undefined) {
+      return Promise.reject(new Error("Cannot update opportunity without id"));
+    }
+
+    return this.agent.put(`/opportunity/${data.id}/`).send(data);
+  }
+
+  putOpportunityEnvelopes(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<Array<AccountUpdateEnvelope>> {
+    return Promise.all(
+      envelopes.map(envelope => {
+        const enrichedEnvelope = _.cloneDeep(envelope);
+        return this.withRetries(() =>
+          this.putOpportunity(envelope.cioOpportunityWrite)
+        )
+          .then(response => {
+            // $FlowFixMe
+            enrichedEnvelope.cioOpportunityRead = response.body;
+            return enrichedEnvelope;
+          })
+          .catch(error => {
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
+            return enrichedEnvelope;
+          });
+      })
+    );
+  }
+
   /**
    * List all custom fields for the organization.
    *
@@ -331,6 +818,52 @@ class ServiceClient {
       .query({ _limit: limit, _skip: skip });
   }
 
+  /**
+   * List all custom contact fields for the organization.
+   *
+   * @param {number} [limit=100] The number of records per page.
+   * @param {number} [skip=0] The number of records to skip.
+   * @returns {Promise<CioListResponse<CioLeadCustomField>>} The list response.
+   * @memberof ServiceClient
+   */
+  getContactCustomFields(
+    limit: number = 100,
+    skip: number = 0
+  ): Promise<SuperAgentResponse<CioListResponse<CioLeadCustomField>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+    debug("getContactCustomFields");
+    return this.agent
+      .get("/custom_fields/contact/")
+      .query({ _limit: limit, _skip: skip });
+  }
+
+  /**
+   * List all custom opportunity fields for the organization.
+   *
+   * @param {number} [limit=100] The number of records per page.
+   * @param {number} [skip=0] The number of records to skip.
+   * @returns {Promise<CioListResponse<CioLeadCustomField>>} The list response.
+   * @memberof ServiceClient
+   */
+  getOpportunityCustomFields(
+    limit: number = 100,
+    skip: number = 0
+  ): Promise<SuperAgentResponse<CioListResponse<CioLeadCustomField>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+    debug("getOpportunityCustomFields");
+    return this.agent
+      .get("/custom_fields/opportunity/")
+      .query({ _limit: limit, _skip: skip });
+  }
+
   /**
    * Lists or searches all contacts that match the given parameters.
    *
@@ -391,14 +924,21 @@ class ServiceClient {
     return Promise.all(
       envelopes.map(envelope => {
         const enrichedEnvelope = _.cloneDeep(envelope);
-        return this.postContact(envelope.cioContactWrite)
+        return this.withRetries(() =>
+          this.postContact(envelope.cioContactWrite)
+        )
           .then(response => {
             // $FlowFixMe
             enrichedEnvelope.cioContactRead = response.body;
             return enrichedEnvelope;
           })
           .catch(error => {
-            enrichedEnvelope.error = error.response.body;
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
             return enrichedEnvelope;
           });
       })
@@ -432,20 +972,129 @@ class ServiceClient {
     return Promise.all(
       envelopes.map(envelope => {
         const enrichedEnvelope = _.cloneDeep(envelope);
-        return this.putContact(envelope.cioContactWrite)
+        return this.withRetries(() => this.putContact(envelope.cioContactWrite))
           .then(async response => {
             // $FlowFixMe
             enrichedEnvelope.cioContactRead = response.body;
             return enrichedEnvelope;
           })
           .catch(error => {
-            enrichedEnvelope.error = error.response.body;
+            enrichedEnvelope.error = _.get(
+              error,
+              "response.body",
+              error.message
+            );
+            enrichedEnvelope.errorStatus = _.get(error, "response.status");
             return enrichedEnvelope;
           });
       })
     );
   }
 
+  /**
+   * Lists the notes of a lead.
+   *
+   * @param {string} leadId The id of the lead.
+   * @param {number} [limit=100] The number of records per page.
+   * @param {number} [skip=0] The number of records to skip.
+   * @returns {Promise<CioListResponse<CioNoteRead>>} The list response.
+   * @memberof ServiceClient
+   */
+  getLeadNotes(
+    leadId: string,
+    limit: number = 100,
+    skip: number = 0
+  ): Promise<SuperAgentResponse<CioListResponse<CioNoteRead>>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.get("/activity/note/").query({
+      lead_id: leadId,
+      _limit: limit,
+      _skip: skip
+    });
+  }
+
+  /**
+   * Fetches all notes of a lead, page by page.
+   *
+   * @param {string} leadId The id of the lead.
+   * @returns {Promise<Array<CioNoteRead>>} The list of notes.
+   * @memberof ServiceClient
+   */
+  getAllLeadNotes(leadId: string): Promise<Array<CioNoteRead>> {
+    const fetchPage = (skip, notes) => {
+      return this.withRetries(() => this.getLeadNotes(leadId, 100, skip)).then(
+        res => {
+          const allNotes = _.concat(notes, res.body.data);
+          if (res.body.has_more === true && res.body.data.length > 0) {
+            return fetchPage(skip + res.body.data.length, allNotes);
+          }
+          return allNotes;
+        }
+      );
+    };
+    return fetchPage(0, []);
+  }
+
+  /**
+   * Creates a new note activity in close.io.
+   *
+   * @param {CioNoteWrite} data The close.io object data.
+   * @returns {Promise<Object>} The data of the created close.io object.
+   * @memberof ServiceClient
+   */
+  postNote(data: CioNoteWrite): Promise<Object> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.post("/activity/note/").send(data);
+  }
+
+  /**
+   * Subscribes the given url to webhook events of close.io.
+   *
+   * @param {string} url The url to send the events to.
+   * @param {Array<Object>} events The object types and actions to subscribe to.
+   * @returns {Promise<CioWebhookSubscription>} The created subscription including the signature key.
+   * @memberof ServiceClient
+   */
+  postWebhook(
+    url: string,
+    events: Array<{ object_type: string, action: string }>
+  ): Promise<SuperAgentResponse<CioWebhookSubscription>> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.post("/webhook/").send({ url, events });
+  }
+
+  /**
+   * Deletes a webhook subscription in close.io.
+   *
+   * @param {string} webhookId The id of the subscription.
+   * @returns {Promise<Object>} The empty response.
+   * @memberof ServiceClient
+   */
+  deleteWebhook(webhookId: string): Promise<Object> {
+    if (!this.hasValidApiKey()) {
+      return Promise.reject(
+        new ConfigurationError("No API key specified in the Settings.", {})
+      );
+    }
+
+    return this.agent.delete(`/webhook/${webhookId}/`);
+  }
+
   getExportLead(exportId: string): Promise<*> {
     return this.agent.get(`/export/lead/${exportId}/`);
   }
@@ -18,6 +18,30 @@ const SHARED_MESSAGES = {
       category: "DataTransformation"
     };
   },
+  MAPPING_SKIP_CUSTOMFIELDVALUE: (hullAttribName, customField, value) => {
+    return {
+      id: "MappingSkipCustomFieldValue",
+      message: `The value ${JSON.stringify(
+        value
+      )} of the Hull attribute '${hullAttribName}' cannot be converted to the ${
+        customField.type
+      } field '${customField.name}' in close.io and won't be sent.`,
+      level: "Warning",
+      channel: "Operation",
+      category: "DataTransformation"
+    };
+  },
+  MAPPING_SKIP_MERGEFIELDS: (objType, fieldNames) => {
+    return {
+      id: "MappingSkipMergeFields",
+      message: `The ${objType.toLowerCase()} couldn't be read from close.io, the fields ${fieldNames.join(
+        ", "
+      )} need to be merged with the values in close.io and won't be sent.`,
+      level: "Warning",
+      channel: "Operation",
+      category: "DataTransformation"
+    };
+  },
   OPERATION_SKIP_NOLEADIDENT: attribName => {
     return {
       id: "OperationSkipAccountNoServiceIdentValue",
@@ -47,31 +71,72 @@ const SHARED_MESSAGES = {
       category: "DataFlow"
     };
   },
+  OPERATION_SKIP_NOMATCHUSERSEGMENTS: () => {
+    return {
+      id: "OperationSkipUserNotMatchingSegments",
+      message:
+        "The Hull user is not part of any whitelisted segment and won't be synchronized as contact to close.io.",
+      level: "Information",
+      channel: "Operation",
+      category: "DataFlow"
+    };
+  },
   OPERATION_SKIP_NOLINKEDACCOUNT: () => {
     return {
       id: "OperationSkipUserNotLinkedToAccount",
       message:
-        "The Hull user is not linked to an account; cannot create a contact in close.io without a lead.",
+        "The Hull user is not linked to an account which exists in close.io; cannot create a contact without a lead.",
       level: "Information",
       channel: "Operation",
       category: "DataFlow"
     };
   },
-  OPERATION_SKIP_ACCOUNTDOESNTEXISTINCLOSEIO: () => {
+  OPERATION_SKIP_LEADDELETEDINCLOSEIO: () => {
     return {
-      id: "OperationSkipAccountDoesntExistInCloseio",
+      id: "OperationSkipAccountLeadDeletedInCloseIo",
       message:
-        "The Hull account doesn't exist in closeio, we can't update it.",
+        "The lead of the Hull account has been deleted in close.io (see attribute 'closeio/deleted_at'), it won't be created again.",
       level: "Information",
       channel: "Operation",
       category: "DataFlow"
     };
   },
-  OPERATION_SKIP_USERDOESNTEXISTINCLOSEIO: () => {
+  OPERATION_SKIP_CONTACTDELETEDINCLOSEIO: () => {
+    return {
+      id: "OperationSkipUserContactDeletedInCloseIo",
+      message:
+        "The contact of the Hull user has been deleted in close.io (see attribute 'closeio/deleted_at'), it won't be created again.",
+      level: "Information",
+      channel: "Operation",
+      category: "DataFlow"
+    };
+  },
+  OPERATION_SKIP_EVENTNOTEEXISTS: () => {
+    return {
+      id: "OperationSkipEventNoteExists",
+      message:
+        "A note for the event has already been created on the lead in close.io.",
+      level: "Information",
+      channel: "Operation",
+      category: "DataFlow"
+    };
+  },
+  OPERATION_SKIP_LOOKUPFAILED: (objType, error) => {
+    return {
+      id: "OperationSkipLookupFailed",
+      message: `The ${objType} couldn't be looked up in close.io and won't be sent to avoid a duplicate: ${
+        typeof error === "string" ? error : JSON.stringify(error)
+      }`,
+      level: "Error",
+      channel: "Operation",
+      category: "DataFlow"
+    };
+  },
+  OPERATION_SKIP_LEADUNCHANGED: () => {
     return {
-      id: "OperationSkipUserDoesntExistInCloseio",
+      id: "OperationSkipAccountLeadUnchanged",
       message:
-        "The Hull user doesn't exist in closeio, we can't update it.",
+        "None of the synchronized attributes of the Hull account has changed since the lead has been last updated in close.io.",
       level: "Information",
       channel: "Operation",
       category: "DataFlow"
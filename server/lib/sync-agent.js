@@ -3,8 +3,10 @@ import type {
   THullReqContext,
   THullUserUpdateMessage,
   THullAccountUpdateMessage,
+  THullAccountAttributes,
   THullConnector
 } from "hull";
+import type { Readable } from "stream";
 
 import type {
   HullMetrics,
@@ -16,11 +18,20 @@ import type {
   CioConnectorSettings,
   HullFieldDropdownItem,
   UserUpdateEnvelope,
-  AccountUpdateEnvelope
+  AccountUpdateEnvelope,
+  CioLeadOpportunityRead,
+  CioLeadRead,
+  CioContactRead,
+  CioActivityRead,
+  CioWebhookEvent,
+  FilterResults,
+  CioLeadsExportState
 } from "./types";
 
 const _ = require("lodash");
-const { DateTime, Duration } = require("luxon");
+const Promise = require("bluebird");
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
 // const debug = require("debug")("hull-closeio:sync-agent");
 const {
   pipeStreamToPromise,
@@ -30,14 +41,42 @@ const {
 const ImportS3Stream = require("hull/lib/utils/import-s3-stream");
 
 const promisePipe = require("promisepipe");
-const AWS = require("aws-sdk");
 
 const MappingUtil = require("./sync-agent/mapping-util");
 const FilterUtil = require("./sync-agent/filter-util");
 const ServiceClient = require("./service-client");
+const { createExportStorage } = require("./export-storage");
+const SHARED_MESSAGES = require("./shared-messages");
 const CONTACT_FIELDDEFS = require("./sync-agent/contact-fielddefs");
+const OPPORTUNITY_FIELDDEFS = require("./sync-agent/opportunity-fielddefs");
+const ACTIVITY_TYPEDEFS = require("./sync-agent/activity-typedefs");
 
 const BASE_API_URL = "https://app.close.io/api/v1";
+const SYNC_WATERMARK_SETTINGS = {
+  leads: "last_sync_at",
+  contacts: "last_contacts_sync_at",
+  activities: "last_activities_sync_at"
+};
+const LEADS_EXPORT_ACTIVE_STATUSES = [
+  "requested",
+  "processing",
+  "downloading",
+  "importing"
+];
+const LEADS_EXPORT_MAX_ATTEMPTS = 3;
+// minutes close.io may take to process an export before it is requested again
+const LEADS_EXPORT_PROCESSING_TIMEOUT =
+  parseInt(process.env.LEADS_EXPORT_PROCESSING_TIMEOUT, 10) || 120;
+// minutes the download and import may go without progress before the export is requested again
+const LEADS_EXPORT_IMPORT_TIMEOUT =
+  parseInt(process.env.LEADS_EXPORT_IMPORT_TIMEOUT, 10) || 60;
+// minutes between two records of the progress of the import
+const LEADS_EXPORT_HEARTBEAT_INTERVAL = 1;
+// minutes a signed webhook request is accepted to prevent replays
+const WEBHOOK_TIMESTAMP_TOLERANCE =
+  parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE, 10) || 5;
+const LEADS_FETCH_CONCURRENCY =
+  parseInt(process.env.LEADS_FETCH_CONCURRENCY, 10) || 10;
 
 class SyncAgent {
   /**
@@ -105,7 +144,13 @@ class SyncAgent {
    */
   connector: THullConnector;
 
-  s3Bucket: string;
+  /**
+   * Gets or sets the hostname the connector is reached at.
+   *
+   * @type {string}
+   * @memberof SyncAgent
+   */
+  hostname: string;
 
   /**
    * Creates an instance of SyncAgent.
@@ -128,8 +173,13 @@ class SyncAgent {
 
     // Configure the filter util
     const configFilterUtil: FilterUtilConfiguration = {
+      synchronizedSegments: this.normalizedPrivateSettings
+        .synchronized_segments,
       synchronizedAccountSegments: this.normalizedPrivateSettings
         .synchronized_account_segments,
+      synchronizedEvents: this.normalizedPrivateSettings.synchronized_events,
+      synchronizedOpportunitySegments: this.normalizedPrivateSettings
+        .synchronized_opportunity_segments,
       leadIdentifierHull: this.normalizedPrivateSettings.lead_identifier_hull,
       cache: this.cache
     };
@@ -144,7 +194,7 @@ class SyncAgent {
     };
 
     this.serviceClient = new ServiceClient(configServiceClient);
-    this.s3Bucket = process.env.AWS_S3_BUCKET;
+    this.hostname = reqContext.hostname;
     this.settingsUpdate = settingsUpdate.bind(null, reqContext);
   }
 
@@ -172,51 +222,191 @@ class SyncAgent {
       }
     );
 
+    // Contact and opportunity custom fields are only needed if mapped
+    const contactCustomFields = _.some(
+      _.concat(
+        _.map(
+          this.normalizedPrivateSettings.contact_attributes_outbound,
+          "closeio_field_name"
+        ),
+        this.normalizedPrivateSettings.contact_attributes_inbound
+      ),
+      field => _.startsWith(field, "custom.")
+    )
+      ? await this.cache.wrap("raw_contact_custom_fields", () => {
+          return this.serviceClient.getContactCustomFields().then(result => {
+            return result.body.data;
+          });
+        })
+      : [];
+
+    const opportunityCustomFields =
+      _.some(
+        this.normalizedPrivateSettings.opportunity_attributes_outbound,
+        m => _.startsWith(m.closeio_field_name, "custom.")
+      ) ||
+      _.some(this.normalizedPrivateSettings.lead_attributes_inbound, field =>
+        _.startsWith(field, "opportunity_custom.")
+      )
+        ? await this.cache.wrap("raw_opportunity_custom_fields", () => {
+            return this.serviceClient
+              .getOpportunityCustomFields()
+              .then(result => {
+                return result.body.data;
+              });
+          })
+        : [];
+
+    // Opportunity statuses are only needed to resolve mapped status labels
+    const opportunityStatuses = _.find(
+      this.normalizedPrivateSettings.opportunity_attributes_outbound,
+      { closeio_field_name: "status" }
+    )
+      ? await this.cache.wrap("raw_opportunity_status", () => {
+          return this.serviceClient.getOpportunityStatuses().then(result => {
+            return result.body.data;
+          });
+        })
+      : [];
+
+    // Users are only needed to resolve the owners of leads
+    const users = !_.isEmpty(this.normalizedPrivateSettings.lead_owner_field)
+      ? await this.cache.wrap("raw_users", () => {
+          return this.serviceClient.getUsers().then(result => {
+            return result.body.data;
+          });
+        })
+      : [];
+
     // Configure the mapping util
     const configMappingUtil: CioMappingUtilSettings = {
       attributeMappings: _.pick(this.normalizedPrivateSettings, [
         "lead_attributes_outbound",
         "lead_attributes_inbound",
         "contact_attributes_outbound",
-        "contact_attributes_inbound"
+        "contact_attributes_inbound",
+        "opportunity_attributes_outbound"
       ]),
       leadStatuses,
       leadCustomFields,
+      contactCustomFields,
+      opportunityCustomFields,
+      opportunityStatuses,
       leadIdentifierHull: this.normalizedPrivateSettings.lead_identifier_hull,
       leadIdentifierService: this.normalizedPrivateSettings
-        .lead_identifier_service
+        .lead_identifier_service,
+      eventsNoteTemplate: this.normalizedPrivateSettings.events_note_template,
+      leadStatusRules: this.normalizedPrivateSettings.lead_status_rules,
+      leadStatusNoDowngrade: this.normalizedPrivateSettings
+        .lead_status_no_downgrade,
+      users,
+      leadOwnerHull: this.normalizedPrivateSettings.lead_owner_hull,
+      leadOwnerField: this.normalizedPrivateSettings.lead_owner_field,
+      leadAddressPrimary: this.normalizedPrivateSettings.lead_address_primary
     };
     this.mappingUtil = new MappingUtil(configMappingUtil);
   }
 
   /**
    * Returns a list of dropdown items for connector settings
-   * representing the inbound contact fields.
+   * representing the inbound contact fields, including custom fields.
    *
-   * @returns {Array<HullFieldDropdownItem>} The list of dropdown items.
+   * @returns {Promise<Array<HullFieldDropdownItem>>} The list of dropdown items.
    * @memberof SyncAgent
    */
-  getContactFieldOptionsInbound(): Array<HullFieldDropdownItem> {
+  getContactFieldOptionsInbound(): Promise<Array<HullFieldDropdownItem>> {
     const fields = _.filter(CONTACT_FIELDDEFS, { in: true });
-    const opts = _.map(fields, f => {
+    const defaultFields = _.map(fields, f => {
       return { value: f.id, label: f.label };
     });
-    return opts;
+    if (this.isAuthenticationConfigured() === false) {
+      return Promise.resolve(defaultFields);
+    }
+
+    return this.serviceClient
+      .getContactCustomFields()
+      .then(listResponse => {
+        const customFields = listResponse.body.data.map(f => {
+          return { value: `custom.${f.id}`, label: f.name };
+        });
+        return _.concat(defaultFields, customFields);
+      })
+      .catch(err => {
+        this.hullClient.logger.error("connector.metadata.error", {
+          status: err.status,
+          message: err.message,
+          type: "/fields-contact-in"
+        });
+        return defaultFields;
+      });
   }
 
   /**
    * Returns a list of dropdown items for connector settings
-   * representing the outbound contact fields.
+   * representing the outbound contact fields, including custom fields.
    *
-   * @returns {Array<HullFieldDropdownItem>} The list of dropdown items.
+   * @returns {Promise<Array<HullFieldDropdownItem>>} The list of dropdown items.
    * @memberof SyncAgent
    */
-  getContactFieldOptionsOutbound(): Array<HullFieldDropdownItem> {
+  getContactFieldOptionsOutbound(): Promise<Array<HullFieldDropdownItem>> {
     const fields = _.filter(CONTACT_FIELDDEFS, { out: true });
-    const opts = _.map(fields, f => {
+    const defaultFields = _.map(fields, f => {
+      return { value: f.id, label: f.label };
+    });
+    if (this.isAuthenticationConfigured() === false) {
+      return Promise.resolve(defaultFields);
+    }
+
+    return this.serviceClient
+      .getContactCustomFields()
+      .then(listResponse => {
+        const customFields = listResponse.body.data.map(f => {
+          return { value: `custom.${f.id}`, label: f.name };
+        });
+        return _.concat(defaultFields, customFields);
+      })
+      .catch(err => {
+        this.hullClient.logger.error("connector.metadata.error", {
+          status: err.status,
+          message: err.message,
+          type: "/fields-contact-out"
+        });
+        return defaultFields;
+      });
+  }
+
+  /**
+   * Returns a list of dropdown items for connector settings
+   * representing the outbound opportunity fields, including custom fields.
+   *
+   * @returns {Promise<Array<HullFieldDropdownItem>>} The list of dropdown items.
+   * @memberof SyncAgent
+   */
+  getOpportunityFieldOptionsOutbound(): Promise<Array<HullFieldDropdownItem>> {
+    const fields = _.filter(OPPORTUNITY_FIELDDEFS, { out: true });
+    const defaultFields = _.map(fields, f => {
       return { value: f.id, label: f.label };
     });
-    return opts;
+    if (this.isAuthenticationConfigured() === false) {
+      return Promise.resolve(defaultFields);
+    }
+
+    return this.serviceClient
+      .getOpportunityCustomFields()
+      .then(listResponse => {
+        const customFields = listResponse.body.data.map(f => {
+          return { value: `custom.${f.id}`, label: f.name };
+        });
+        return _.concat(defaultFields, customFields);
+      })
+      .catch(err => {
+        this.hullClient.logger.error("connector.metadata.error", {
+          status: err.status,
+          message: err.message,
+          type: "/fields-opportunity-out"
+        });
+        return defaultFields;
+      });
   }
 
   /**
@@ -234,17 +424,47 @@ class SyncAgent {
       return Promise.resolve([]);
     }
 
-    return this.serviceClient
-      .getLeadCustomFields()
-      .then(listResponse => {
-        const customFields = listResponse.body.data.map(f => {
-          return { value: `custom.${f.id}`, label: f.name };
-        });
+    // Custom fields of the first opportunity can only be fetched
+    const opportunityCustomFieldsPromise =
+      type === "inbound"
+        ? this.serviceClient
+            .getOpportunityCustomFields()
+            .then(listResponse => listResponse.body.data)
+        : Promise.resolve([]);
+
+    return Promise.all([
+      this.serviceClient.getLeadCustomFields(),
+      opportunityCustomFieldsPromise
+    ])
+      .then(([listResponse, opportunityCustomFields]) => {
+        const customFields = _.concat(
+          listResponse.body.data.map(f => {
+            return { value: `custom.${f.id}`, label: f.name };
+          }),
+          opportunityCustomFields.map(f => {
+            return {
+              value: `opportunity_custom.${f.id}`,
+              label: `Opportunity ${f.name}`
+            };
+          })
+        );
         const defaultFields: Array<HullFieldDropdownItem> = [
           { value: "name", label: "Name" },
           { value: "url", label: "Url" },
           { value: "description", label: "Description" }
         ];
+        if (type === "outbound") {
+          defaultFields.push(
+            { value: "addresses", label: "Addresses" },
+            { value: "addresses.address_1", label: "Address Line 1" },
+            { value: "addresses.address_2", label: "Address Line 2" },
+            { value: "addresses.city", label: "Address City" },
+            { value: "addresses.state", label: "Address State" },
+            { value: "addresses.zipcode", label: "Address Zipcode" },
+            { value: "addresses.country", label: "Address Country" },
+            { value: "addresses.label", label: "Address Label" }
+          );
+        }
         if (type === "inbound") {
           defaultFields.push({
             value: "status_id",
@@ -270,6 +490,9 @@ class SyncAgent {
           }, {
             value: "opportunity_status_label",
             label: "Opportunity Status Label"
+          }, {
+            value: "opportunities",
+            label: "Opportunities (Aggregated)"
           }, {
             value: "addresses",
             label: "Addresses"
@@ -288,6 +511,67 @@ class SyncAgent {
       });
   }
 
+  /**
+   * Returns a list of dropdown items for connector settings
+   * representing the custom lead fields which hold a user.
+   *
+   * @returns {Promise<Array<HullFieldDropdownItem>>} The list of dropdown items.
+   * @memberof SyncAgent
+   */
+  getLeadOwnerFields(): Promise<Array<HullFieldDropdownItem>> {
+    if (this.isAuthenticationConfigured() === false) {
+      return Promise.resolve([]);
+    }
+
+    return this.serviceClient
+      .getLeadCustomFields()
+      .then(listResponse => {
+        return _.filter(listResponse.body.data, { type: "user" }).map(f => {
+          return { value: `custom.${f.id}`, label: f.name };
+        });
+      })
+      .catch(err => {
+        this.hullClient.logger.error("connector.metadata.error", {
+          status: err.status,
+          message: err.message,
+          type: "/fields-lead-owner"
+        });
+        return [];
+      });
+  }
+
+  /**
+   * Returns a list of dropdown items for connector settings
+   * representing the users of close.io.
+   *
+   * @returns {Promise<Array<HullFieldDropdownItem>>} The list of dropdown items.
+   * @memberof SyncAgent
+   */
+  getUsers(): Promise<Array<HullFieldDropdownItem>> {
+    if (this.isAuthenticationConfigured() === false) {
+      return Promise.resolve([]);
+    }
+
+    return this.serviceClient
+      .getUsers()
+      .then(response => {
+        return response.body.data.map(user => {
+          const name = _.trim(
+            `${user.first_name || ""} ${user.last_name || ""}`
+          );
+          return { value: user.id, label: `${name} (${user.email})` };
+        });
+      })
+      .catch(err => {
+        this.hullClient.logger.error("connector.metadata.error", {
+          status: err.status,
+          message: err.message,
+          type: "/users"
+        });
+        return [];
+      });
+  }
+
   /**
    * Ensure that all settings have sensible defaults
    *
@@ -375,89 +659,92 @@ class SyncAgent {
    */
   async fetchUpdatedLeads(): Promise<any> {
     await this.initialize();
-    const safetyInterval = Duration.fromObject({ minutes: 5 });
-    let lastSyncAtRaw = parseInt(
-      this.normalizedPrivateSettings.last_sync_at,
-      10
+    const lastLeadsSyncAt = this.getSyncWatermark("last_sync_at");
+    // Contacts have been synchronized together with leads before
+    // they got their own watermark
+    const lastContactsSyncAt = this.getSyncWatermark(
+      "last_contacts_sync_at",
+      lastLeadsSyncAt
     );
-    if (_.isNaN(lastSyncAtRaw)) {
-      lastSyncAtRaw = Math.floor(
-        DateTime.utc()
-          .minus({ days: 2 })
-          .toMillis() / 1000
-      );
-    }
-    const since = DateTime.fromMillis(lastSyncAtRaw * 1000).minus(
-      safetyInterval
+    // Contacts are fetched with their lead, so leads have to be
+    // fetched again from the point where contacts are lagging behind
+    const since = DateTime.fromMillis(
+      Math.min(lastLeadsSyncAt, lastContactsSyncAt) * 1000
     );
 
-    this.hullClient.logger.info("incoming.job.start", { since: since.toISO() });
+    // Resume the previous run if it didn't finish
+    const checkpoint = this.normalizedPrivateSettings.leads_fetch_checkpoint;
 
-    const streamOfUpdatedLeads = this.serviceClient.getLeadsStream(since);
+    this.hullClient.logger.info("incoming.job.start", {
+      since: since.toISO(),
+      checkpoint
+    });
 
-    return pipeStreamToPromise(streamOfUpdatedLeads, leads => {
-      this.hullClient.logger.info("incoming.job.progress", {
-        leads: leads.length
-      });
+    const streamOfUpdatedLeads = this.serviceClient.getLeadsStream(
+      since,
+      checkpoint
+    );
 
-      return Promise.all(
-        leads.map(async lead => {
-          lead.last_email_sent = await this.getLeadLastestEmailSent(lead.id);
-          
-          const hullAccountIdent = this.mappingUtil.mapLeadToHullAccountIdent(
-            lead
-          );
-          const hullAccountAttributes = this.mappingUtil.mapLeadToHullAccountAttributes(
-            lead
-          );
-          const asAccount = this.hullClient.asAccount(hullAccountIdent);
-
-          return asAccount
-            .traits(hullAccountAttributes)
-            .then(() => {
-              asAccount.logger.info(
-                "incoming.account.success",
-                hullAccountAttributes
-              );
-              return Promise.all(
-                lead.contacts.map(contact => {
-                  const hullUserIdent = this.mappingUtil.mapContactToHullUserIdent(
-                    contact
-                  );
-                  const hullUserAttributes = this.mappingUtil.mapContactToHullUserAttributes(
-                    contact
-                  );
-                  const asUser = this.hullClient.asUser(hullUserIdent);
-                  return asUser
-                    .traits(hullUserAttributes)
-                    .then(() => {
-                      return asUser.account(hullAccountIdent).traits({});
-                    })
-                    .then(() => {
-                      asUser.logger.info(
-                        "incoming.user.success",
-                        hullUserAttributes
-                      );
-                    })
-                    .catch(error => {
-                      asUser.logger.error("incoming.user.error", error);
-                    });
-                })
-              );
-            })
-            .catch(error => {
-              asAccount.logger.error("incoming.account.error", error);
-            });
-        })
-      );
-    })
+    let newLastLeadsSyncAt = lastLeadsSyncAt;
+    let newLastContactsSyncAt = lastContactsSyncAt;
+    let hasFailures = false;
+
+    return pipeStreamToPromise(
+      streamOfUpdatedLeads,
+      async ({ leads, cursor }) => {
+        this.hullClient.logger.info("incoming.job.progress", {
+          leads: leads.length
+        });
+
+        const results = await Promise.map(leads, lead => this.saveLead(lead), {
+          concurrency: LEADS_FETCH_CONCURRENCY
+        });
+        if (_.includes(results, false)) {
+          hasFailures = true;
+        }
+        if (hasFailures) {
+          // Failed leads have to be fetched again by the next run
+          return Promise.resolve();
+        }
+
+        newLastLeadsSyncAt = SyncAgent.getMaxUpdatedAt(
+          leads,
+          newLastLeadsSyncAt
+        );
+        newLastContactsSyncAt = SyncAgent.getMaxUpdatedAt(
+          _.flatMap(leads, "contacts"),
+          newLastContactsSyncAt
+        );
+        return this.settingsUpdate({ leads_fetch_checkpoint: cursor });
+      }
+    )
       .then(async () => {
-        const new_last_sync_at = Math.floor(DateTime.utc().toMillis() / 1000);
+        if (hasFailures) {
+          await this.settingsUpdate({ leads_fetch_checkpoint: null });
+          return this.hullClient.logger.error("incoming.job.error", {
+            reason:
+              "Not all leads could be saved, the sync watermarks remain unchanged.",
+            last_sync_at: lastLeadsSyncAt,
+            last_contacts_sync_at: lastContactsSyncAt
+          });
+        }
+
+        // All contacts of the fetched leads have been processed, so contacts
+        // cannot lag behind the leads anymore
+        newLastContactsSyncAt = Math.max(
+          newLastContactsSyncAt,
+          newLastLeadsSyncAt
+        );
         await this.settingsUpdate({
-          last_sync_at: new_last_sync_at
+          last_sync_at: newLastLeadsSyncAt,
+          last_contacts_sync_at: newLastContactsSyncAt,
+          leads_fetch_checkpoint: null
         });
 
-        this.hullClient.logger.info("incoming.job.success", { last_sync_at: new_last_sync_at });
+        return this.hullClient.logger.info("incoming.job.success", {
+          last_sync_at: newLastLeadsSyncAt,
+          last_contacts_sync_at: newLastContactsSyncAt
+        });
       })
       .catch(error => {
         this.hullClient.logger.error("incoming.job.error", { reason: error });
@@ -465,292 +752,2053 @@ class SyncAgent {
   }
 
   /**
-   * Utility method to build the envelope for user:update messages.
+   * Reads the sync watermark with the given name from the settings.
+   * If the watermark has never been set, it defaults to the given
+   * fallback or two days ago.
    *
-   * @param {THullUserUpdateMessage} message The notification message.
-   * @returns {UserUpdateEnvelope} The envelope.
+   * @param {string} settingName The name of the private setting.
+   * @param {?number} fallback The watermark to use if the setting is empty.
+   * @returns {number} The watermark as unix timestamp in seconds.
    * @memberof SyncAgent
    */
-  async buildUserUpdateEnvelope(
-    message: THullUserUpdateMessage
-  ): Promise<UserUpdateEnvelope> {
-    const combinedUser = _.cloneDeep(message.user);
-    combinedUser.account = _.cloneDeep(message.account);
-
-    const envelope = {};
-    envelope.message = message;
-    envelope.hullUser = combinedUser;
-    envelope.cioContactRead = null;
-    envelope.skipReason = null;
-    envelope.error = null;
-    envelope.cioContactWrite = this.mappingUtil.mapHullUserToContact(envelope);
-
-    return envelope;
+  getSyncWatermark(settingName: string, fallback: ?number = null): number {
+    const watermark = parseInt(
+      _.get(this.normalizedPrivateSettings, settingName),
+      10
+    );
+    if (_.isNaN(watermark)) {
+      if (!_.isNil(fallback)) {
+        return fallback;
+      }
+      return Math.floor(
+        DateTime.utc()
+          .minus({ days: 2 })
+          .toMillis() / 1000
+      );
+    }
+    return watermark;
   }
 
   /**
-   * Processes the user:update messages and syncs data with close.io.
+   * Determines the latest update or creation date of the given
+   * close.io objects, but never goes back behind the current watermark.
+   * The date is truncated to seconds, so objects updated in the same
+   * second are fetched again instead of being missed.
    *
-   * @param {Array<THullUserUpdateMessage>} messages The notification messages to process.
-   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @static
+   * @param {Array<Object>} objects The close.io objects.
+   * @param {number} watermark The current watermark as unix timestamp in seconds.
+   * @param {string} [dateField="date_updated"] The field holding the date.
+   * @returns {number} The new watermark as unix timestamp in seconds.
    * @memberof SyncAgent
    */
-  async sendUserMessages(
-    messages: Array<THullUserUpdateMessage>
-  ): Promise<any> {
-    await this.initialize();
-    const deduplicatedMessages = this.filterUtil.deduplicateUserUpdateMessages(
-      messages
-    );
-    const envelopes = await Promise.all(
-      deduplicatedMessages.map(message => this.buildUserUpdateEnvelope(message))
+  static getMaxUpdatedAt(
+    objects: Array<Object>,
+    watermark: number,
+    dateField: string = "date_updated"
+  ): number {
+    return _.reduce(
+      objects,
+      (max, object) => {
+        const date = DateTime.fromISO(_.get(object, dateField, ""), {
+          zone: "utc"
+        });
+        return date.isValid
+          ? Math.max(max, Math.floor(date.toMillis() / 1000))
+          : max;
+      },
+      watermark
     );
-    const filterResults = await this.filterUtil.filterUsers(envelopes);
+  }
 
-    filterResults.toSkip.forEach(envelope => {
-      this.hullClient
-        .asUser(envelope.message.user)
-        .logger.info("outgoing.user.skip", envelope.skipReason);
+  /**
+   * Moves the sync watermark of the given object type back to the given
+   * date, so the next fetch picks up everything changed since then.
+   *
+   * @param {string} objectType The object type, either `leads`, `contacts` or `activities`.
+   * @param {string} date The date to rewind the watermark to in ISO format.
+   * @returns {Promise<any>} A promise which wraps the async settings update.
+   * @memberof SyncAgent
+   */
+  rewindSyncWatermark(objectType: string, date: string): Promise<any> {
+    const settingName = _.get(SYNC_WATERMARK_SETTINGS, objectType);
+    if (_.isNil(settingName)) {
+      return Promise.reject(
+        new Error(`Unknown object type '${objectType}' for sync watermark.`)
+      );
+    }
+
+    const rewindTo = DateTime.fromISO(date, { zone: "utc" });
+    if (!rewindTo.isValid || rewindTo > DateTime.utc()) {
+      return Promise.reject(
+        new Error(`Invalid date '${date}' to rewind the sync watermark to.`)
+      );
+    }
+
+    const newSettings = {
+      [settingName]: Math.floor(rewindTo.toMillis() / 1000)
+    };
+    if (objectType !== "activities") {
+      // An unfinished fetch would otherwise resume behind the new watermark
+      newSettings.leads_fetch_checkpoint = null;
+    }
+
+    return this.settingsUpdate(newSettings).then(() => {
+      this.hullClient.logger.info("connector.watermark.rewind", {
+        type: objectType,
+        [settingName]: newSettings[settingName]
+      });
+    });
+  }
+
+  /**
+   * Returns the current sync watermarks of all object types.
+   *
+   * @returns {Object} The watermarks as ISO dates by object type, null if not set yet.
+   * @memberof SyncAgent
+   */
+  getSyncWatermarks(): { [string]: string | null } {
+    return _.mapValues(SYNC_WATERMARK_SETTINGS, settingName => {
+      const watermark = parseInt(
+        _.get(this.normalizedPrivateSettings, settingName),
+        10
+      );
+      return _.isNaN(watermark)
+        ? null
+        : DateTime.fromMillis(watermark * 1000, { zone: "utc" }).toISO();
     });
+  }
 
-    const toUpdateContactEnvelopes = await this.cleanToUpdateContactEnvelopes(filterResults.toUpdate);
-    const updatedEnvelopes = await this.serviceClient.putContactEnvelopes(
-      toUpdateContactEnvelopes
+  /**
+   * Saves a close.io lead as Hull account and its contacts as Hull users
+   * linked to the account.
+   *
+   * @param {CioLeadRead} lead The close.io lead.
+   * @returns {Promise<boolean>} True if the lead and all its contacts have been saved; otherwise false.
+   * @memberof SyncAgent
+   */
+  async saveLead(lead: CioLeadRead): Promise<boolean> {
+    lead.last_email_sent = await this.getLeadLastestEmailSent(lead.id);
+    if (this.isOpportunityFetchConfigured()) {
+      lead.opportunities = _.orderBy(
+        await this.serviceClient.getAllLeadOpportunities(lead.id),
+        ["date_created"],
+        ["desc"]
+      );
+    }
+
+    const hullAccountIdent = this.mappingUtil.mapLeadToHullAccountIdent(lead);
+    const hullAccountAttributes = await this.mapLeadToHullAccountAttributes(
+      lead
     );
+    const asAccount = this.hullClient.asAccount(hullAccountIdent);
 
-    await Promise.all(
-      updatedEnvelopes.map(async updatedEnvelope => {
-        try {
-          if (updatedEnvelope.cioContactRead === null) {
-            throw new Error(updatedEnvelope.error || "Unkown error");
-          }
-          const combinedContact = updatedEnvelope.cioContactRead;
-          combinedContact.lead_id = updatedEnvelope.cioContactWrite.lead_id;
-          await this.hullClient
-            .asUser(updatedEnvelope.message.user)
-            .traits(
-              this.mappingUtil.mapContactToHullUserAttributes(combinedContact)
+    return asAccount
+      .traits(hullAccountAttributes)
+      .then(() => {
+        asAccount.logger.info(
+          "incoming.account.success",
+          hullAccountAttributes
+        );
+        return this.trackOpportunityEvents(lead.opportunities, lead.contacts);
+      })
+      .then(() => {
+        return Promise.all(
+          lead.contacts.map(contact => {
+            const hullUserIdent = this.mappingUtil.mapContactToHullUserIdent(
+              contact
             );
+            const hullUserAttributes = this.mappingUtil.mapContactToHullUserAttributes(
+              contact
+            );
+            const asUser = this.hullClient.asUser(hullUserIdent);
+            return asUser
+              .traits(hullUserAttributes)
+              .then(() => {
+                return asUser.account(hullAccountIdent).traits({});
+              })
+              .then(() => {
+                asUser.logger.info("incoming.user.success", hullUserAttributes);
+                return true;
+              })
+              .catch(error => {
+                asUser.logger.error("incoming.user.error", error);
+                return false;
+              });
+          })
+        );
+      })
+      .then(contactResults => !_.includes(contactResults, false))
+      .catch(error => {
+        asAccount.logger.error("incoming.account.error", error);
+        return false;
+      });
+  }
+
+  /**
+   * Indicates whether opportunities have to be fetched
+   * for every lead to map the inbound attributes.
+   *
+   * @returns {boolean} True if any opportunity attribute is mapped; otherwise false.
+   * @memberof SyncAgent
+   */
+  isOpportunityFetchConfigured(): boolean {
+    return _.some(
+      this.normalizedPrivateSettings.lead_attributes_inbound,
+      attrib =>
+        attrib === "opportunities" || _.startsWith(attrib, "opportunity_")
+    );
+  }
+
+  /**
+   * Tracks the status of every opportunity which has been updated since
+   * the last sync of leads as event on the user of the opportunity's contact.
+   * Hull doesn't support events on accounts, so opportunities without
+   * a contact are tracked on the first contact of their lead.
+   *
+   * @param {Array<CioLeadOpportunityRead>} opportunities The opportunities of a lead.
+   * @param {Array<CioContactRead>} [leadContacts=[]] The contacts of the lead.
+   * @returns {Promise<any>} A promise which wraps the async tracking operations.
+   * @memberof SyncAgent
+   */
+  trackOpportunityEvents(
+    opportunities: Array<CioLeadOpportunityRead> = [],
+    leadContacts: Array<CioContactRead> = []
+  ): Promise<any> {
+    if (
+      !_.includes(
+        this.normalizedPrivateSettings.lead_attributes_inbound,
+        "opportunities"
+      )
+    ) {
+      return Promise.resolve();
+    }
+
+    // Opportunities which haven't changed have been tracked before
+    const lastSyncAt = this.getSyncWatermark("last_sync_at");
+    const updatedOpportunities = _.filter(
+      opportunities,
+      opportunity => SyncAgent.getMaxUpdatedAt([opportunity], 0) >= lastSyncAt
+    );
+
+    return Promise.all(
+      updatedOpportunities.map(opportunity => {
+        const hullEvent = this.mappingUtil.mapOpportunityToHullEvent(
+          opportunity
+        );
+        const userClaims = SyncAgent.getEventUserClaims(
+          opportunity.contact_id,
+          leadContacts
+        );
+        if (userClaims === null) {
+          this.hullClient.logger.info("incoming.event.skip", {
+            reason:
+              "Opportunity is not linked to a contact and its lead has no contacts in close.io.",
+            opportunity_id: opportunity.id,
+            lead_id: opportunity.lead_id
+          });
+          return Promise.resolve();
+        }
+
+        const asUser = this.hullClient.asUser(userClaims);
+        return asUser
+          .track(hullEvent.event, hullEvent.properties, hullEvent.context)
+          .then(() => {
+            asUser.logger.info("incoming.event.success", hullEvent);
+          })
+          .catch(error => {
+            asUser.logger.error("incoming.event.error", {
+              event: hullEvent,
+              error
+            });
+          });
+      })
+    );
+  }
+
+  /**
+   * Returns the claims of the user to track an event of a close.io object on.
+   * Hull can only track events on users, so events of objects which aren't
+   * linked to a contact go to the first contact of their lead.
+   *
+   * @static
+   * @param {?string} contactId The id of the contact linked to the object.
+   * @param {Array<CioContactRead>} leadContacts The contacts of the lead.
+   * @returns {?Object} The user claims or null if there is no contact to track the event on.
+   * @memberof SyncAgent
+   */
+  static getEventUserClaims(
+    contactId: ?string,
+    leadContacts: Array<CioContactRead>
+  ): ?Object {
+    const userContactId = contactId || _.get(_.first(leadContacts), "id");
+    if (_.isNil(userContactId)) {
+      return null;
+    }
+    return { anonymous_id: `closeio:${userContactId}` };
+  }
+
+  /**
+   * Fetches all activities created in close.io since the last run
+   * and tracks them as events on the users matching their contacts.
+   *
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async fetchActivities(): Promise<any> {
+    const activityTypes = this.normalizedPrivateSettings
+      .synchronized_activities;
+    if (_.isEmpty(activityTypes)) {
+      this.hullClient.logger.info("incoming.job.skip", {
+        reason: "No activity types selected in the settings."
+      });
+      return Promise.resolve();
+    }
+
+    await this.initialize();
+    const lastSyncAt = this.getSyncWatermark("last_activities_sync_at");
+    const since = DateTime.fromMillis(lastSyncAt * 1000);
+
+    this.hullClient.logger.info("incoming.job.start", {
+      since: since.toISO(),
+      type: "activities"
+    });
+
+    const streamOfActivities = this.serviceClient.getActivitiesStream(since);
+
+    let newLastSyncAt = lastSyncAt;
+    let hasFailures = false;
+
+    return pipeStreamToPromise(streamOfActivities, async activities => {
+      const filteredActivities = _.filter(activities, activity =>
+        _.includes(activityTypes, activity._type)
+      );
+      this.hullClient.logger.info("incoming.job.progress", {
+        activities: filteredActivities.length
+      });
+
+      const results = await Promise.all(
+        filteredActivities.map(activity => this.trackActivity(activity))
+      );
+      if (_.includes(results, false)) {
+        hasFailures = true;
+      }
+      newLastSyncAt = SyncAgent.getMaxUpdatedAt(
+        activities,
+        newLastSyncAt,
+        "date_created"
+      );
+    })
+      .then(async () => {
+        if (hasFailures) {
+          return this.hullClient.logger.error("incoming.job.error", {
+            reason:
+              "Not all activities could be tracked, the sync watermark remains unchanged.",
+            last_activities_sync_at: lastSyncAt
+          });
+        }
+
+        await this.settingsUpdate({
+          last_activities_sync_at: newLastSyncAt
+        });
+
+        return this.hullClient.logger.info("incoming.job.success", {
+          last_activities_sync_at: newLastSyncAt
+        });
+      })
+      .catch(error => {
+        this.hullClient.logger.error("incoming.job.error", { reason: error });
+      });
+  }
+
+  /**
+   * Tracks a close.io activity as event on the user of its contact.
+   * Hull doesn't support events on accounts, so activities which aren't
+   * linked to a contact are tracked on the first contact of their lead.
+   *
+   * @param {CioActivityRead} activity The close.io activity.
+   * @returns {Promise<any>} A promise which resolves to false if the event couldn't be tracked.
+   * @memberof SyncAgent
+   */
+  async trackActivity(activity: CioActivityRead): Promise<any> {
+    const hullEvent = this.mappingUtil.mapActivityToHullEvent(activity);
+    if (hullEvent === null) {
+      return Promise.resolve();
+    }
+
+    let leadContacts = [];
+    if (_.isNil(activity.contact_id) && !_.isNil(activity.lead_id)) {
+      try {
+        leadContacts = await this.getLeadContacts(activity.lead_id);
+      } catch (error) {
+        this.hullClient.logger.error("incoming.event.error", {
+          event: hullEvent,
+          error: error.message
+        });
+        return false;
+      }
+    }
+
+    const userClaims = SyncAgent.getEventUserClaims(
+      activity.contact_id,
+      leadContacts
+    );
+    if (userClaims === null) {
+      this.hullClient.logger.info("incoming.event.skip", {
+        reason:
+          "Activity is not linked to a contact and its lead has no contacts in close.io.",
+        activity_id: activity.id,
+        lead_id: activity.lead_id
+      });
+      return Promise.resolve();
+    }
+
+    const asUser = this.hullClient.asUser(userClaims);
+    return asUser
+      .track(hullEvent.event, hullEvent.properties, hullEvent.context)
+      .then(() => {
+        asUser.logger.info("incoming.event.success", hullEvent);
+        return true;
+      })
+      .catch(error => {
+        asUser.logger.error("incoming.event.error", {
+          event: hullEvent,
+          error
+        });
+        return false;
+      });
+  }
+
+  /**
+   * Returns the contacts of a lead, cached since many activities
+   * of the same lead are usually fetched together.
+   *
+   * @param {string} leadId The id of the lead.
+   * @returns {Promise<Array<CioContactRead>>} The contacts of the lead.
+   * @memberof SyncAgent
+   */
+  getLeadContacts(leadId: string): Promise<Array<CioContactRead>> {
+    return this.cache.wrap(`lead_contacts_${leadId}`, () =>
+      this.serviceClient
+        .withRetries(() => this.serviceClient.getLead(leadId))
+        .then(response => _.get(response, "body.contacts", []))
+    );
+  }
+
+  /**
+   * Maps a close.io lead to Hull account attributes including the
+   * address attributes which have to be cleared.
+   *
+   * @param {CioLeadRead} lead The close.io lead.
+   * @returns {Promise<THullAccountAttributes>} The attributes of the account.
+   * @memberof SyncAgent
+   */
+  async mapLeadToHullAccountAttributes(
+    lead: CioLeadRead
+  ): Promise<THullAccountAttributes> {
+    return _.assign(
+      await this.mapRemovedAddressesToHullAccountAttributes(lead),
+      this.mappingUtil.mapLeadToHullAccountAttributes(lead)
+    );
+  }
+
+  /**
+   * Clears the address attributes which have been fetched for the lead
+   * before but are no longer present in close.io. The number of
+   * addresses per label of every fetched lead is kept in the cache.
+   *
+   * @param {CioLeadRead} lead The close.io lead.
+   * @returns {Promise<THullAccountAttributes>} The attributes to clear.
+   * @memberof SyncAgent
+   */
+  async mapRemovedAddressesToHullAccountAttributes(
+    lead: CioLeadRead
+  ): Promise<THullAccountAttributes> {
+    if (
+      !this.mappingUtil.isAddressesFetchConfigured() ||
+      !_.has(lead, "addresses")
+    ) {
+      return {};
+    }
+
+    const cacheKey = `lead_addresses_${lead.id}`;
+    const previousCounts = (await this.cache.get(cacheKey)) || {};
+    const addressCounts = MappingUtil.getAddressCounts(lead);
+    if (!_.isEmpty(previousCounts) || !_.isEmpty(addressCounts)) {
+      await this.cache.set(cacheKey, addressCounts);
+    }
+    return this.mappingUtil.mapRemovedAddressesToHullAccountAttributes(
+      previousCounts,
+      lead
+    );
+  }
+
+  /**
+   * Subscribes the connector to lead, contact, opportunity and
+   * activity events of close.io and stores the subscription in the settings.
+   * An existing subscription is replaced.
+   *
+   * @param {string} url The url of the webhook endpoint of this connector.
+   * @returns {Promise<any>} A promise which wraps the async operation.
+   * @memberof SyncAgent
+   */
+  async registerWebhook(url: string): Promise<any> {
+    if (this.normalizedPrivateSettings.webhook_id) {
+      await this.unregisterWebhook();
+    }
+
+    const events = _.concat(
+      _.flatMap(["lead", "contact", "opportunity"], objectType => {
+        return ["created", "updated", "deleted"].map(action => {
+          return { object_type: objectType, action };
+        });
+      }),
+      _.flatMap(ACTIVITY_TYPEDEFS, typeDef => {
+        return ["created", "updated"].map(action => {
+          return { object_type: typeDef.objectType, action };
+        });
+      })
+    );
+
+    try {
+      const response = await this.serviceClient.postWebhook(url, events);
+      await this.settingsUpdate({
+        webhook_id: response.body.id,
+        webhook_signature_key: response.body.signature_key
+      });
+      this.hullClient.logger.info("connector.webhook.subscribed", {
+        webhook_id: response.body.id
+      });
+    } catch (error) {
+      this.hullClient.logger.error("connector.webhook.error", {
+        status: error.status,
+        message: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the webhook subscription in close.io and removes it
+   * from the settings. Polling continues to work without a subscription.
+   *
+   * @returns {Promise<any>} A promise which wraps the async operation.
+   * @memberof SyncAgent
+   */
+  async unregisterWebhook(): Promise<any> {
+    const webhookId = this.normalizedPrivateSettings.webhook_id;
+    if (webhookId) {
+      try {
+        await this.serviceClient.deleteWebhook(webhookId);
+      } catch (error) {
+        // The subscription might have been deleted in close.io already
+        if (error.status !== 404) {
+          this.hullClient.logger.error("connector.webhook.error", {
+            status: error.status,
+            message: error.message
+          });
+          throw error;
+        }
+      }
+    }
+
+    await this.settingsUpdate({
+      webhook_id: null,
+      webhook_signature_key: null
+    });
+    this.normalizedPrivateSettings.webhook_id = null;
+    this.normalizedPrivateSettings.webhook_signature_key = null;
+    this.hullClient.logger.info("connector.webhook.unsubscribed", {
+      webhook_id: webhookId
+    });
+  }
+
+  /**
+   * Verifies the signature close.io computes for every webhook request,
+   * a HMAC-SHA256 of the timestamp and the raw body using the signature key.
+   * Requests with a timestamp which is off by more than a few minutes
+   * are rejected, so a captured request cannot be replayed later.
+   *
+   * @param {string} rawBody The raw body of the request.
+   * @param {string} timestamp The value of the `close-sig-timestamp` header.
+   * @param {string} signature The value of the `close-sig-hash` header.
+   * @returns {boolean} True if the signature is valid and recent; otherwise false.
+   * @memberof SyncAgent
+   */
+  isValidWebhookSignature(
+    rawBody: string,
+    timestamp: string,
+    signature: string
+  ): boolean {
+    const signatureKey = this.normalizedPrivateSettings.webhook_signature_key;
+    if (!signatureKey || !rawBody || !timestamp || !signature) {
+      return false;
+    }
+
+    const ageInSeconds = Math.abs(
+      DateTime.utc().toMillis() / 1000 - parseInt(timestamp, 10)
+    );
+    if (!(ageInSeconds <= WEBHOOK_TIMESTAMP_TOLERANCE * 60)) {
+      return false;
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", Buffer.from(signatureKey, "hex"))
+      .update(`${timestamp}${rawBody}`)
+      .digest("hex");
+
+    if (expectedSignature.length !== signature.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(
+      Buffer.from(expectedSignature),
+      Buffer.from(signature)
+    );
+  }
+
+  /**
+   * Processes a webhook event of close.io. Changes of leads, contacts and
+   * opportunities refetch the whole lead, deleted leads are unlinked from
+   * their Hull account and activities are tracked as events.
+   *
+   * @param {CioWebhookEvent} event The event sent by close.io.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async handleWebhookEvent(event: CioWebhookEvent): Promise<any> {
+    const objectType = _.get(event, "object_type", "");
+    const action = _.get(event, "action");
+    const skip = reason => {
+      this.hullClient.logger.info("incoming.webhook.skip", {
+        reason,
+        object_type: objectType,
+        action
+      });
+      return Promise.resolve();
+    };
+
+    try {
+      await this.initialize();
+
+      if (_.startsWith(objectType, "activity.")) {
+        if (action === "deleted") {
+          return skip("Deleted activities are not synchronized.");
+        }
+        if (
+          !_.includes(
+            this.normalizedPrivateSettings.synchronized_activities,
+            _.get(event, "data._type")
+          )
+        ) {
+          return skip("Activity type is not selected in the settings.");
+        }
+        return this.trackActivity(event.data);
+      }
+
+      if (_.includes(["lead", "contact", "opportunity"], objectType)) {
+        if (objectType === "lead" && action === "deleted") {
+          return this.unlinkDeletedLead(
+            _.assign({}, event.previous_data, { id: event.object_id })
+          );
+        }
+        const leadId =
+          objectType === "lead" ? event.object_id : _.get(event, "lead_id");
+        if (_.isNil(leadId)) {
+          return skip("Event is not linked to a lead.");
+        }
+        const response = await this.serviceClient.getLead(leadId);
+        return this.saveLead(response.body);
+      }
+
+      return skip("Object type is not supported.");
+    } catch (error) {
+      this.hullClient.logger.error("incoming.webhook.error", {
+        object_type: objectType,
+        action,
+        reason: error.message
+      });
+      return Promise.resolve();
+    }
+  }
+
+  /**
+   * Utility method to build the envelope for user:update messages.
+   *
+   * @param {THullUserUpdateMessage} message The notification message.
+   * @returns {UserUpdateEnvelope} The envelope.
+   * @memberof SyncAgent
+   */
+  async buildUserUpdateEnvelope(
+    message: THullUserUpdateMessage
+  ): Promise<UserUpdateEnvelope> {
+    const combinedUser = _.cloneDeep(message.user);
+    combinedUser.account = _.cloneDeep(message.account);
+
+    const envelope = {};
+    envelope.message = message;
+    envelope.hullUser = combinedUser;
+    envelope.cioContactRead = null;
+    envelope.skipReason = null;
+    envelope.error = null;
+    envelope.skippedFields = [];
+    envelope.cioContactWrite = this.mappingUtil.mapHullUserToContact(envelope);
+
+    return envelope;
+  }
+
+  /**
+   * Processes the user:update messages and syncs data with close.io.
+   *
+   * @param {Array<THullUserUpdateMessage>} messages The notification messages to process.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async sendUserMessages(
+    messages: Array<THullUserUpdateMessage>
+  ): Promise<any> {
+    await this.initialize();
+    const deduplicatedMessages = this.filterUtil.deduplicateUserUpdateMessages(
+      messages
+    );
+    const envelopes = await Promise.all(
+      deduplicatedMessages.map(message => this.buildUserUpdateEnvelope(message))
+    );
+    const filterResults = await this.filterUtil.filterUsers(envelopes);
+
+    filterResults.toSkip.forEach(envelope => {
+      this.hullClient
+        .asUser(envelope.message.user)
+        .logger.info("outgoing.user.skip", envelope.skipReason);
+    });
+
+    _.concat(filterResults.toUpdate, filterResults.toInsert).forEach(
+      envelope => {
+        envelope.skippedFields.forEach(skippedField => {
+          this.hullClient
+            .asUser(envelope.message.user)
+            .logger.warn("outgoing.user.warning", skippedField);
+        });
+      }
+    );
+
+    const lookupResults = await this.lookupContactEnvelopes(
+      filterResults.toInsert
+    );
+
+    const toUpdateContactEnvelopes = await this.cleanToUpdateContactEnvelopes(
+      _.concat(filterResults.toUpdate, lookupResults.toUpdate)
+    );
+    const putEnvelopes = await this.serviceClient.putContactEnvelopes(
+      toUpdateContactEnvelopes
+    );
+    await this.unlinkDeletedContacts(
+      _.filter(putEnvelopes, { errorStatus: 404 })
+    );
+    const updatedEnvelopes = _.reject(putEnvelopes, { errorStatus: 404 });
+
+    await Promise.all(
+      updatedEnvelopes.map(async updatedEnvelope => {
+        try {
+          if (updatedEnvelope.cioContactRead === null) {
+            throw new Error(updatedEnvelope.error || "Unkown error");
+          }
+          const combinedContact = updatedEnvelope.cioContactRead;
+          combinedContact.lead_id = updatedEnvelope.cioContactWrite.lead_id;
+          await this.hullClient
+            .asUser(updatedEnvelope.message.user)
+            .traits(
+              this.mappingUtil.mapContactToHullUserAttributes(combinedContact)
+            );
+          return this.hullClient
+            .asUser(updatedEnvelope.message.user)
+            .logger.info(
+              "outgoing.user.success",
+              updatedEnvelope.cioContactWrite
+            );
+        } catch (error) {
+          return this.hullClient
+            .asUser(updatedEnvelope.message.user)
+            .logger.info("outgoing.user.error", error);
+        }
+      })
+    );
+
+    const insertedEnvelopes = await this.serviceClient.postContactEnvelopes(
+      lookupResults.toInsert
+    );
+
+    await Promise.all(
+      insertedEnvelopes.map(async insertedEnvelope => {
+        try {
+          if (insertedEnvelope.cioContactRead === null) {
+            throw new Error(insertedEnvelope.error || "Unkown error");
+          }
+          const combinedContact = insertedEnvelope.cioContactRead;
+          combinedContact.lead_id = insertedEnvelope.cioContactWrite.lead_id;
+          await this.hullClient
+            .asUser(insertedEnvelope.message.user)
+            .traits(
+              this.mappingUtil.mapContactToHullUserAttributes(combinedContact)
+            );
+          await this.cache.set(
+            insertedEnvelope.hullUser.id,
+            insertedEnvelope.cioContactRead.id
+          );
+          return this.hullClient
+            .asUser(insertedEnvelope.message.user)
+            .logger.info(
+              "outgoing.user.success",
+              insertedEnvelope.cioContactWrite
+            );
+        } catch (error) {
+          return this.hullClient
+            .asUser(insertedEnvelope.message.user)
+            .logger.info("outgoing.user.error", error);
+        }
+      })
+    );
+
+    await this.sendEventNotes(
+      _.filter(_.concat(updatedEnvelopes, insertedEnvelopes), envelope => {
+        return envelope.cioContactRead !== null;
+      })
+    );
+  }
+
+  /**
+   * Sends the whitelisted events of the users as notes
+   * to the lead of their contact in close.io. Events are only sent once:
+   * the cache knows recently sent events, all others are looked up
+   * in the existing notes of the lead.
+   *
+   * @param {Array<UserUpdateEnvelope>} envelopes The envelopes of the synchronized contacts.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  sendEventNotes(envelopes: Array<UserUpdateEnvelope>): Promise<any> {
+    return Promise.all(
+      envelopes.map(async envelope => {
+        const events = await this.filterUtil.filterEvents(
+          _.get(envelope, "message.events", [])
+        );
+        const asUser = this.hullClient.asUser(envelope.message.user);
+        if (events.length === 0) {
+          return Promise.resolve();
+        }
+
+        const leadId = envelope.cioContactRead.lead_id;
+        let leadNotes;
+        try {
+          leadNotes = await this.serviceClient.getAllLeadNotes(leadId);
+        } catch (error) {
+          // Do not create notes we cannot check, they might be duplicates
+          return asUser.logger.error(
+            "outgoing.event.error",
+            _.get(error, "response.body", error.message)
+          );
+        }
+
+        return Promise.all(
+          events.map(async event => {
+            const existingNote = _.find(leadNotes, note =>
+              _.includes(note.note, MappingUtil.getEventNoteMarker(event))
+            );
+            if (existingNote !== undefined) {
+              await this.cache.set(
+                FilterUtil.getEventCacheKey(event),
+                existingNote.id
+              );
+              return asUser.logger.info("outgoing.event.skip", {
+                reason: SHARED_MESSAGES.OPERATION_SKIP_EVENTNOTEEXISTS().message,
+                event_id: event.event_id
+              });
+            }
+
+            const noteWrite = this.mappingUtil.mapHullEventToNote(
+              event,
+              leadId
+            );
+            try {
+              const response = await this.serviceClient.withRetries(() =>
+                this.serviceClient.postNote(noteWrite)
+              );
+              // Remember the event, so we never create the same note twice
+              await this.cache.set(
+                FilterUtil.getEventCacheKey(event),
+                response.body.id
+              );
+              return asUser.logger.info("outgoing.event.success", noteWrite);
+            } catch (error) {
+              return asUser.logger.error(
+                "outgoing.event.error",
+                _.get(error, "response.body", error.message)
+              );
+            }
+          })
+        );
+      })
+    );
+  }
+
+  /**
+   * Utility method to build the envelope for account:update messages.
+   *
+   * @param {THullAccountUpdateMessage} message The notification message.
+   * @returns {AccountUpdateEnvelope} The envelope.
+   * @memberof SyncAgent
+   */
+  async buildAccountUpdateEnvelope(
+    message: THullAccountUpdateMessage
+  ): Promise<AccountUpdateEnvelope> {
+    const envelope = {};
+    envelope.message = message;
+    envelope.hullAccount = _.cloneDeep(message.account);
+    envelope.cioLeadRead = null;
+    envelope.skipReason = null;
+    envelope.error = null;
+    envelope.skippedFields = [];
+    envelope.cioLeadWrite = this.mappingUtil.mapHullAccountToLead(envelope);
+    envelope.cioOpportunityRead = null;
+    envelope.cioOpportunityWrite = this.mappingUtil.mapHullAccountToOpportunity(
+      envelope
+    );
+
+    return envelope;
+  }
+
+  /**
+   * Processes the account:update messages and syncs data with close.io.
+   *
+   * @param {Array<THullAccountUpdateMessage>} messages The notification messages to process.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async sendAccountMessages(
+    messages: Array<THullAccountUpdateMessage>
+  ): Promise<any> {
+    await this.initialize();
+    const deduplicatedMessages = this.filterUtil.deduplicateAccountUpdateMessages(
+      messages
+    );
+    const envelopes = await Promise.all(
+      deduplicatedMessages.map(message =>
+        this.buildAccountUpdateEnvelope(message)
+      )
+    );
+    const filterResults = await this.filterUtil.filterAccounts(envelopes);
+    const changeResults = await this.filterUtil.filterUnchangedLeads(
+      filterResults.toUpdate
+    );
+
+    _.concat(filterResults.toSkip, changeResults.toSkip).forEach(envelope => {
+      this.hullClient
+        .asAccount(envelope.message.account)
+        .logger.info("outgoing.account.skip", envelope.skipReason);
+    });
+
+    _.concat(filterResults.toUpdate, filterResults.toInsert).forEach(
+      envelope => {
+        envelope.skippedFields.forEach(skippedField => {
+          this.hullClient
+            .asAccount(envelope.message.account)
+            .logger.warn("outgoing.account.warning", skippedField);
+        });
+      }
+    );
+
+    const lookupResults = await this.lookupLeadEnvelopes(
+      filterResults.toInsert
+    );
+
+    const toUpdateLeadEnvelopes = await this.cleanToUpdateLeadEnvelopes(
+      _.concat(changeResults.toUpdate, lookupResults.toUpdate)
+    );
+    const putEnvelopes = await this.serviceClient.putLeadEnvelopes(
+      toUpdateLeadEnvelopes
+    );
+    // Leads which cannot be found anymore have been merged or deleted in close.io
+    const updatedEnvelopes = _.concat(
+      _.reject(putEnvelopes, { errorStatus: 404 }),
+      await this.followMergedLeads(_.filter(putEnvelopes, { errorStatus: 404 }))
+    );
+
+    await Promise.all(
+      updatedEnvelopes.map(async updatedEnvelope => {
+        try {
+          if (updatedEnvelope.error !== null) {
+            throw new Error(updatedEnvelope.error);
+          }
+        
+          updatedEnvelope.cioLeadRead.last_email_sent = await this.getLeadLastestEmailSent(updatedEnvelope.cioLeadRead.id);
+
+          await this.hullClient
+            .asAccount(updatedEnvelope.message.account)
+            .traits(
+              await this.mapLeadToHullAccountAttributes(
+                updatedEnvelope.cioLeadRead
+              )
+            );
+          await this.cache.set(
+            FilterUtil.getLeadHashCacheKey(updatedEnvelope.hullAccount),
+            updatedEnvelope.cioLeadWriteHash ||
+              FilterUtil.getPayloadHash(updatedEnvelope.cioLeadWrite)
+          );
           return this.hullClient
-            .asUser(updatedEnvelope.message.user)
+            .asAccount(updatedEnvelope.message.account)
             .logger.info(
-              "outgoing.user.success",
-              updatedEnvelope.cioContactWrite
+              "outgoing.account.success",
+              updatedEnvelope.cioLeadWrite
             );
         } catch (error) {
           return this.hullClient
-            .asUser(updatedEnvelope.message.user)
-            .logger.info("outgoing.user.error", error);
+            .asAccount(updatedEnvelope.message.account)
+            .logger.info("outgoing.account.error", error);
         }
       })
     );
 
-    const insertedEnvelopes = await this.serviceClient.postContactEnvelopes(
-      filterResults.toInsert
+    await this.assignRoundRobinOwners(lookupResults.toInsert);
+    const insertedEnvelopes = await this.serviceClient.postLeadEnvelopes(
+      lookupResults.toInsert
     );
 
     await Promise.all(
       insertedEnvelopes.map(async insertedEnvelope => {
         try {
-          if (insertedEnvelope.cioContactRead === null) {
-            throw new Error(insertedEnvelope.error || "Unkown error");
+          if (insertedEnvelope.error !== null) {
+            throw new Error(insertedEnvelope.error);
           }
-          const combinedContact = insertedEnvelope.cioContactRead;
-          combinedContact.lead_id = insertedEnvelope.cioContactWrite.lead_id;
           await this.hullClient
-            .asUser(insertedEnvelope.message.user)
+            .asAccount(insertedEnvelope.message.account)
             .traits(
-              this.mappingUtil.mapContactToHullUserAttributes(combinedContact)
+              await this.mapLeadToHullAccountAttributes(
+                insertedEnvelope.cioLeadRead
+              )
             );
           await this.cache.set(
-            insertedEnvelope.hullUser.id,
-            insertedEnvelope.cioContactRead.id
+            insertedEnvelope.hullAccount.id,
+            insertedEnvelope.cioLeadRead.id
+          );
+          // The next update of the account carries the id of the new lead
+          await this.cache.set(
+            FilterUtil.getLeadHashCacheKey(insertedEnvelope.hullAccount),
+            FilterUtil.getPayloadHash(
+              _.assign({}, insertedEnvelope.cioLeadWrite, {
+                id: insertedEnvelope.cioLeadRead.id
+              })
+            )
           );
           return this.hullClient
-            .asUser(insertedEnvelope.message.user)
+            .asAccount(insertedEnvelope.message.account)
             .logger.info(
-              "outgoing.user.success",
-              insertedEnvelope.cioContactWrite
+              "outgoing.account.success",
+              insertedEnvelope.cioLeadWrite
             );
         } catch (error) {
           return this.hullClient
-            .asUser(insertedEnvelope.message.user)
-            .logger.info("outgoing.user.error", error);
+            .asAccount(insertedEnvelope.message.account)
+            .logger.info("outgoing.account.error", insertedEnvelope.error);
+        }
+      })
+    );
+
+    // Opportunities are still synchronized for leads which haven't changed
+    changeResults.toSkip.forEach(envelope => {
+      envelope.cioLeadRead = { id: envelope.cioLeadWrite.id };
+    });
+    return this.sendOpportunityEnvelopes(
+      _.filter(
+        _.concat(updatedEnvelopes, insertedEnvelopes, changeResults.toSkip),
+        { error: null }
+      )
+    );
+  }
+
+  /**
+   * Assigns the users of the round robin in turn as owners of
+   * the new leads which have no owner from the Hull attribute.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes of the leads to create.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async assignRoundRobinOwners(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<any> {
+    const ownerField = this.normalizedPrivateSettings.lead_owner_field;
+    const userIds = this.normalizedPrivateSettings.lead_owner_round_robin;
+    const unassignedEnvelopes = _.filter(envelopes, envelope =>
+      _.isNil(_.get(envelope.cioLeadWrite, [ownerField]))
+    );
+    if (
+      _.isEmpty(ownerField) ||
+      _.isEmpty(userIds) ||
+      _.isEmpty(unassignedEnvelopes)
+    ) {
+      return Promise.resolve();
+    }
+
+    // The position is shared through the cache, so all instances take turns
+    const position = parseInt(await this.cache.get("owner_round_robin"), 10);
+    let nextPosition = Number.isNaN(position) ? 0 : position;
+    unassignedEnvelopes.forEach(envelope => {
+      envelope.cioLeadWrite[ownerField] =
+        userIds[nextPosition % userIds.length];
+      nextPosition = (nextPosition + 1) % userIds.length;
+    });
+    return this.cache.set("owner_round_robin", nextPosition);
+  }
+
+  /**
+   * Creates or updates the opportunity on the lead of every synchronized
+   * account which belongs to one of the opportunity segments.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes of the synchronized leads.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async sendOpportunityEnvelopes(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<any> {
+    const filterResults = await this.filterUtil.filterOpportunities(envelopes);
+
+    const putEnvelopes = await this.serviceClient.putOpportunityEnvelopes(
+      filterResults.toUpdate
+    );
+    // Opportunities which have been deleted in close.io are created again
+    const deletedEnvelopes = _.filter(putEnvelopes, { errorStatus: 404 });
+    await Promise.all(
+      deletedEnvelopes.map(envelope =>
+        this.cache.del(FilterUtil.getOpportunityCacheKey(envelope.hullAccount))
+      )
+    );
+    const toInsertEnvelopes = _.concat(
+      filterResults.toInsert,
+      deletedEnvelopes.map(envelope => {
+        const insertEnvelope = _.cloneDeep(envelope);
+        delete insertEnvelope.cioOpportunityWrite.id;
+        insertEnvelope.error = null;
+        delete insertEnvelope.errorStatus;
+        return insertEnvelope;
+      })
+    );
+
+    const processedEnvelopes = _.concat(
+      _.reject(putEnvelopes, { errorStatus: 404 }),
+      await this.serviceClient.postOpportunityEnvelopes(toInsertEnvelopes)
+    );
+
+    return Promise.all(
+      processedEnvelopes.map(async processedEnvelope => {
+        const asAccount = this.hullClient.asAccount(
+          processedEnvelope.message.account
+        );
+        try {
+          if (processedEnvelope.error !== null) {
+            throw new Error(processedEnvelope.error);
+          }
+          const opportunityId = _.get(
+            processedEnvelope,
+            "cioOpportunityRead.id"
+          );
+          await asAccount.traits({
+            "closeio/opportunity_id": { value: opportunityId, operation: "set" }
+          });
+          await this.cache.set(
+            FilterUtil.getOpportunityCacheKey(processedEnvelope.hullAccount),
+            opportunityId
+          );
+          return asAccount.logger.info(
+            "outgoing.opportunity.success",
+            processedEnvelope.cioOpportunityWrite
+          );
+        } catch (error) {
+          return asAccount.logger.error("outgoing.opportunity.error", {
+            data: processedEnvelope.cioOpportunityWrite,
+            error: processedEnvelope.error || error.message
+          });
+        }
+      })
+    );
+  }
+
+  /**
+   * Follows leads which cannot be found in close.io anymore to the lead
+   * they have been merged into and sends the update there instead.
+   * Leads which have been deleted are unlinked from their Hull account
+   * and marked with the attribute `closeio/deleted_at`.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes which failed with a 404.
+   * @returns {Promise<Array<AccountUpdateEnvelope>>} The envelopes sent to the merged leads.
+   * @memberof SyncAgent
+   */
+  async followMergedLeads(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<Array<AccountUpdateEnvelope>> {
+    const mergedEnvelopes = [];
+
+    await Promise.all(
+      envelopes.map(async envelope => {
+        const asAccount = this.hullClient.asAccount(envelope.message.account);
+        const leadId = envelope.cioLeadWrite.id;
+        try {
+          const destinationId = await this.serviceClient.getLeadMergeDestination(
+            leadId
+          );
+          if (!_.isNil(destinationId)) {
+            await this.cache.set(envelope.hullAccount.id, destinationId);
+            const mergedEnvelope = _.cloneDeep(envelope);
+            mergedEnvelope.cioLeadWrite.id = destinationId;
+            mergedEnvelope.error = null;
+            delete mergedEnvelope.errorStatus;
+            return mergedEnvelopes.push(mergedEnvelope);
+          }
+
+          await this.cache.del(envelope.hullAccount.id);
+          await asAccount.traits({
+            "closeio/id": { value: null, operation: "set" },
+            "closeio/deleted_at": {
+              value: DateTime.utc().toISO(),
+              operation: "set"
+            }
+          });
+          return asAccount.logger.info(
+            "outgoing.account.skip",
+            SHARED_MESSAGES.OPERATION_SKIP_LEADDELETEDINCLOSEIO().message
+          );
+        } catch (error) {
+          return asAccount.logger.info("outgoing.account.error", {
+            data: envelope.cioLeadWrite,
+            error: error.message
+          });
+        }
+      })
+    );
+
+    return this.serviceClient.putLeadEnvelopes(mergedEnvelopes);
+  }
+
+  /**
+   * Unlinks a lead which has been deleted in close.io from its Hull
+   * account and marks it with the attribute `closeio/deleted_at`.
+   *
+   * @param {CioLeadRead} lead The deleted lead, as far as known.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async unlinkDeletedLead(lead: CioLeadRead): Promise<any> {
+    const hullAccountIdent = _.omitBy(
+      this.mappingUtil.mapLeadToHullAccountIdent(lead),
+      _.isNil
+    );
+    const hullAccountAttributes = {
+      "closeio/id": { value: null, operation: "set" },
+      "closeio/deleted_at": {
+        value: DateTime.utc().toISO(),
+        operation: "set"
+      }
+    };
+    const asAccount = this.hullClient.asAccount(hullAccountIdent);
+    await asAccount.traits(hullAccountAttributes);
+    return asAccount.logger.info(
+      "incoming.account.success",
+      hullAccountAttributes
+    );
+  }
+
+  /**
+   * Unlinks contacts which have been deleted in close.io from their
+   * Hull user and marks them with the attribute `closeio/deleted_at`.
+   *
+   * @param {Array<UserUpdateEnvelope>} envelopes The envelopes which failed with a 404.
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  unlinkDeletedContacts(envelopes: Array<UserUpdateEnvelope>): Promise<any> {
+    return Promise.all(
+      envelopes.map(async envelope => {
+        const asUser = this.hullClient.asUser(envelope.message.user);
+        try {
+          await this.cache.del(envelope.hullUser.id);
+          await asUser.traits({
+            "closeio/id": { value: null, operation: "set" },
+            "closeio/deleted_at": {
+              value: DateTime.utc().toISO(),
+              operation: "set"
+            }
+          });
+          return asUser.logger.info(
+            "outgoing.user.skip",
+            SHARED_MESSAGES.OPERATION_SKIP_CONTACTDELETEDINCLOSEIO().message
+          );
+        } catch (error) {
+          return asUser.logger.info("outgoing.user.error", error.message);
+        }
+      })
+    );
+  }
+
+  /**
+   * Searches close.io for leads matching the identifier of the envelopes
+   * which have no known lead id. Envelopes with a matching lead are
+   * moved to the updates, all others can be safely inserted.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes to look up.
+   * @param {boolean} [preview=false] Whether the lookup is for a preview, failures are then only returned as skip reason and not logged.
+   * @returns {Promise<FilterResults<AccountUpdateEnvelope>>} The envelopes to insert or update.
+   * @memberof SyncAgent
+   */
+  async lookupLeadEnvelopes(
+    envelopes: Array<AccountUpdateEnvelope>,
+    { preview = false }: Object = {}
+  ): Promise<FilterResults<AccountUpdateEnvelope>> {
+    const results: FilterResults<AccountUpdateEnvelope> = {
+      toSkip: [],
+      toInsert: [],
+      toUpdate: []
+    };
+
+    await Promise.all(
+      envelopes.map(async envelope => {
+        try {
+          const query = this.mappingUtil.mapHullAccountToLeadQuery(
+            envelope.hullAccount
+          );
+          const response = await this.serviceClient.withRetries(() =>
+            this.serviceClient.getLeads(query, 10)
+          );
+          const existingLead = this.mappingUtil.findMatchingLead(
+            envelope.hullAccount,
+            response.body.data
+          );
+          if (existingLead === undefined) {
+            return results.toInsert.push(envelope);
+          }
+          envelope.cioLeadWrite.id = existingLead.id;
+          return results.toUpdate.push(envelope);
+        } catch (error) {
+          // Do not insert if the lookup failed, we might create a duplicate
+          envelope.error = _.get(error, "response.body", error.message);
+          results.toSkip.push(envelope);
+          if (preview === true) {
+            envelope.skipReason = SHARED_MESSAGES.OPERATION_SKIP_LOOKUPFAILED(
+              "lead",
+              envelope.error
+            ).message;
+            return undefined;
+          }
+          return this.hullClient
+            .asAccount(envelope.message.account)
+            .logger.error("outgoing.account.error", envelope.error);
+        }
+      })
+    );
+
+    return results;
+  }
+
+  /**
+   * Searches close.io for contacts having the email address of the users
+   * which have no known contact id. Envelopes with a matching contact are
+   * moved to the updates, all others can be safely inserted.
+   *
+   * @param {Array<UserUpdateEnvelope>} envelopes The envelopes to look up.
+   * @param {boolean} [preview=false] Whether the lookup is for a preview, failures are then only returned as skip reason and not logged.
+   * @returns {Promise<FilterResults<UserUpdateEnvelope>>} The envelopes to insert or update.
+   * @memberof SyncAgent
+   */
+  async lookupContactEnvelopes(
+    envelopes: Array<UserUpdateEnvelope>,
+    { preview = false }: Object = {}
+  ): Promise<FilterResults<UserUpdateEnvelope>> {
+    const results: FilterResults<UserUpdateEnvelope> = {
+      toSkip: [],
+      toInsert: [],
+      toUpdate: []
+    };
+
+    await Promise.all(
+      envelopes.map(async envelope => {
+        const email = _.get(envelope.hullUser, "email");
+        if (_.isNil(email)) {
+          return results.toInsert.push(envelope);
+        }
+        try {
+          const response = await this.serviceClient.withRetries(() =>
+            this.serviceClient.getContacts(
+              `email:"${MappingUtil.escapeQueryValue(email)}"`,
+              10
+            )
+          );
+          const existingContact = this.mappingUtil.findMatchingContact(
+            envelope.hullUser,
+            response.body.data
+          );
+          if (existingContact === undefined) {
+            return results.toInsert.push(envelope);
+          }
+          // Keep the contact on the lead it has been assigned to in close.io
+          envelope.cioContactWrite.id = existingContact.id;
+          envelope.cioContactWrite.lead_id = existingContact.lead_id;
+          return results.toUpdate.push(envelope);
+        } catch (error) {
+          // Do not insert if the lookup failed, we might create a duplicate
+          envelope.error = _.get(error, "response.body", error.message);
+          results.toSkip.push(envelope);
+          if (preview === true) {
+            envelope.skipReason = SHARED_MESSAGES.OPERATION_SKIP_LOOKUPFAILED(
+              "contact",
+              envelope.error
+            ).message;
+            return undefined;
+          }
+          return this.hullClient
+            .asUser(envelope.message.user)
+            .logger.error("outgoing.user.error", envelope.error);
         }
       })
     );
+
+    return results;
+  }
+
+  /**
+   * Fetches a sample of Hull users or accounts and builds notification
+   * messages for them, so they can be previewed without a notification.
+   *
+   * @param {string} objectType Either `user` or `account`.
+   * @param {string} [search] Optional search term, e.g. an email or domain.
+   * @param {number} [limit=10] The maximum number of objects to fetch.
+   * @returns {Promise<Array<Object>>} The notification messages.
+   * @memberof SyncAgent
+   */
+  async fetchPreviewMessages(
+    objectType: string,
+    search: ?string,
+    limit: number = 10
+  ): Promise<Array<Object>> {
+    if (!_.includes(["user", "account"], objectType)) {
+      throw new Error(`Unsupported object type '${objectType}'.`);
+    }
+    const searchFields =
+      objectType === "user"
+        ? ["email", "external_id", "name"]
+        : ["domain", "external_id", "name"];
+    const query = _.isEmpty(search)
+      ? { match_all: {} }
+      : { multi_match: { query: search, fields: searchFields } };
+    const response = await this.hullClient.post(
+      `search/${objectType}_reports`,
+      {
+        query,
+        sort: { updated_at: "desc" },
+        raw: true,
+        page: 1,
+        per_page: limit
+      }
+    );
+    const toSegments = ids => _.map(ids, id => ({ id }));
+
+    return _.map(_.get(response, "data", []), object => {
+      if (objectType === "account") {
+        return {
+          account: _.omit(object, "segment_ids"),
+          account_segments: toSegments(object.segment_ids)
+        };
+      }
+      const account = _.get(object, "account", {});
+      return {
+        user: _.omit(object, "account", "segment_ids"),
+        account: _.omit(account, "segment_ids"),
+        segments: toSegments(object.segment_ids),
+        account_segments: toSegments(account.segment_ids),
+        events: []
+      };
+    });
+  }
+
+  /**
+   * Runs the outgoing flow for accounts up to the point of writing to
+   * close.io and returns the leads which would be created or updated.
+   *
+   * @param {Array<THullAccountUpdateMessage>} messages The messages to preview.
+   * @returns {Promise<Array<Object>>} The preview of every account.
+   * @memberof SyncAgent
+   */
+  async previewAccountMessages(
+    messages: Array<THullAccountUpdateMessage>
+  ): Promise<Array<Object>> {
+    await this.initialize();
+    const envelopes = await Promise.all(
+      this.filterUtil
+        .deduplicateAccountUpdateMessages(messages)
+        .map(message => this.buildAccountUpdateEnvelope(message))
+    );
+    const filterResults = await this.filterUtil.filterAccounts(envelopes);
+    const changeResults = await this.filterUtil.filterUnchangedLeads(
+      filterResults.toUpdate
+    );
+    const lookupResults = await this.lookupLeadEnvelopes(
+      filterResults.toInsert,
+      { preview: true }
+    );
+
+    const updates = await Promise.all(
+      _.concat(changeResults.toUpdate, lookupResults.toUpdate).map(
+        async envelope => {
+          try {
+            const response = await this.serviceClient.getLead(
+              envelope.cioLeadWrite.id
+            );
+            // Show what would be written after merging with close.io
+            const cioLeadWrite = this.mappingUtil.requiresMerge(
+              "Lead",
+              envelope.cioLeadWrite
+            )
+              ? this.mappingUtil.mergeLead(response.body, envelope.cioLeadWrite)
+              : envelope.cioLeadWrite;
+            return SyncAgent.buildPreview(
+              envelope.hullAccount,
+              "update",
+              cioLeadWrite,
+              response.body
+            );
+          } catch (error) {
+            return SyncAgent.buildPreview(envelope.hullAccount, "error", null, {
+              reason: _.get(error, "response.body", error.message)
+            });
+          }
+        }
+      )
+    );
+
+    return _.concat(
+      _.concat(
+        filterResults.toSkip,
+        changeResults.toSkip,
+        lookupResults.toSkip
+      ).map(envelope =>
+        SyncAgent.buildPreview(envelope.hullAccount, "skip", null, {
+          reason: envelope.skipReason || envelope.error
+        })
+      ),
+      updates,
+      lookupResults.toInsert.map(envelope =>
+        SyncAgent.buildPreview(
+          envelope.hullAccount,
+          "insert",
+          envelope.cioLeadWrite,
+          {}
+        )
+      )
+    );
+  }
+
+  /**
+   * Runs the outgoing flow for users up to the point of writing to
+   * close.io and returns the contacts which would be created or updated.
+   *
+   * @param {Array<THullUserUpdateMessage>} messages The messages to preview.
+   * @returns {Promise<Array<Object>>} The preview of every user.
+   * @memberof SyncAgent
+   */
+  async previewUserMessages(
+    messages: Array<THullUserUpdateMessage>
+  ): Promise<Array<Object>> {
+    await this.initialize();
+    const envelopes = await Promise.all(
+      this.filterUtil
+        .deduplicateUserUpdateMessages(messages)
+        .map(message => this.buildUserUpdateEnvelope(message))
+    );
+    const filterResults = await this.filterUtil.filterUsers(envelopes);
+    const lookupResults = await this.lookupContactEnvelopes(
+      filterResults.toInsert,
+      { preview: true }
+    );
+
+    const updates = await Promise.all(
+      _.concat(filterResults.toUpdate, lookupResults.toUpdate).map(
+        async envelope => {
+          try {
+            const response = await this.serviceClient.getContact(
+              envelope.cioContactWrite.id
+            );
+            // Show what would be written after merging with close.io
+            const cioContactWrite = this.mappingUtil.mergeContact(
+              response.body,
+              envelope.cioContactWrite
+            );
+            return SyncAgent.buildPreview(
+              envelope.hullUser,
+              "update",
+              cioContactWrite,
+              response.body
+            );
+          } catch (error) {
+            return SyncAgent.buildPreview(envelope.hullUser, "error", null, {
+              reason: _.get(error, "response.body", error.message)
+            });
+          }
+        }
+      )
+    );
+
+    return _.concat(
+      _.concat(filterResults.toSkip, lookupResults.toSkip).map(envelope =>
+        SyncAgent.buildPreview(envelope.hullUser, "skip", null, {
+          reason: envelope.skipReason || envelope.error
+        })
+      ),
+      updates,
+      lookupResults.toInsert.map(envelope =>
+        SyncAgent.buildPreview(
+          envelope.hullUser,
+          "insert",
+          envelope.cioContactWrite,
+          {}
+        )
+      )
+    );
+  }
+
+  /**
+   * Builds the preview of a single Hull object with the payload
+   * and the differences to the current close.io record.
+   *
+   * @static
+   * @param {Object} hullObject The Hull user or account.
+   * @param {string} operation One of `insert`, `update`, `skip` or `error`.
+   * @param {?Object} payload The payload which would be written to close.io.
+   * @param {Object} current The current close.io record or the reason of skips and errors.
+   * @returns {Object} The preview.
+   * @memberof SyncAgent
+   */
+  static buildPreview(
+    hullObject: Object,
+    operation: string,
+    payload: ?Object,
+    current: Object
+  ): Object {
+    const preview = {
+      id: _.get(hullObject, "id"),
+      name: _.find(
+        _.at(hullObject, ["email", "domain", "name"]),
+        value => !_.isNil(value)
+      ),
+      operation
+    };
+    if (payload === null || payload === undefined) {
+      return _.assign(preview, { reason: current.reason });
+    }
+
+    // Custom fields are read as `custom.<id>` keys, not as nested objects
+    const diff = _.keys(_.omit(payload, "id"))
+      .map(field => ({
+        field,
+        current: _.has(current, [field])
+          ? current[field]
+          : _.get(current, field, null),
+        next: payload[field]
+      }))
+      .filter(change => !_.isEqual(change.current, change.next));
+    return _.assign(preview, { payload, diff });
   }
 
   /**
-   * Utility method to build the envelope for account:update messages.
+   * Returns the state of the current or last full leads export.
+   * Exports triggered before the state has been introduced
+   * are continued as requested exports.
    *
-   * @param {THullAccountUpdateMessage} message The notification message.
-   * @returns {AccountUpdateEnvelope} The envelope.
+   * @returns {?CioLeadsExportState} The state of the export or null if no export has been triggered.
    * @memberof SyncAgent
    */
-  async buildAccountUpdateEnvelope(
-    message: THullAccountUpdateMessage
-  ): Promise<AccountUpdateEnvelope> {
-    const envelope = {};
-    envelope.message = message;
-    envelope.hullAccount = _.cloneDeep(message.account);
-    envelope.cioLeadRead = null;
-    envelope.skipReason = null;
-    envelope.error = null;
-    envelope.cioLeadWrite = this.mappingUtil.mapHullAccountToLead(envelope);
+  getLeadsExportState(): CioLeadsExportState | null {
+    const state = this.normalizedPrivateSettings.leads_export;
+    if (!_.isNil(state)) {
+      return state;
+    }
 
-    return envelope;
+    const pendingExportId = this.normalizedPrivateSettings.pending_export_id;
+    if (_.isNil(pendingExportId)) {
+      return null;
+    }
+    return {
+      id: pendingExportId,
+      status: "requested",
+      requested_at: DateTime.utc().toISO(),
+      status_changed_at: DateTime.utc().toISO(),
+      attempts: 1,
+      error: null,
+      results: null
+    };
   }
 
   /**
-   * Processes the account:update messages and syncs data with close.io.
+   * Stores the changed state of the full leads export in the settings and
+   * checks the export every 5 minutes as long as it is active.
    *
-   * @param {Array<THullAccountUpdateMessage>} messages The notification messages to process.
-   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @param {CioLeadsExportState} state The current state of the export.
+   * @param {Object} changes The properties of the state to change.
+   * @returns {Promise<CioLeadsExportState>} The new state of the export.
    * @memberof SyncAgent
    */
-  async sendAccountMessages(
-    messages: Array<THullAccountUpdateMessage>
-  ): Promise<any> {
-    await this.initialize();
-    const deduplicatedMessages = this.filterUtil.deduplicateAccountUpdateMessages(
-      messages
-    );
-    const envelopes = await Promise.all(
-      deduplicatedMessages.map(message =>
-        this.buildAccountUpdateEnvelope(message)
-      )
-    );
-    const filterResults = await this.filterUtil.filterAccounts(envelopes);
-
-    filterResults.toSkip.forEach(envelope => {
-      this.hullClient
-        .asAccount(envelope.message.account)
-        .logger.info("outgoing.account.skip", envelope.skipReason);
+  async updateLeadsExportState(
+    state: CioLeadsExportState,
+    changes: $Shape<CioLeadsExportState>
+  ): Promise<CioLeadsExportState> {
+    const newState = _.assign({}, state, changes);
+    if (newState.status !== state.status) {
+      newState.status_changed_at = DateTime.utc().toISO();
+    }
+    const isActive = _.includes(LEADS_EXPORT_ACTIVE_STATUSES, newState.status);
+    await this.settingsUpdate({
+      leads_export: newState,
+      pending_export_id: null,
+      handle_leads_export_interval: isActive ? "5" : "720"
     });
+    this.normalizedPrivateSettings.leads_export = newState;
+    this.hullClient.logger.info("connector.export.status", {
+      id: newState.id,
+      status: newState.status,
+      attempts: newState.attempts
+    });
+    return newState;
+  }
 
-    const updatedEnvelopes = await this.serviceClient.putLeadEnvelopes(
-      filterResults.toUpdate
+  /**
+   * Requests a new full leads export from close.io.
+   *
+   * @param {number} [attempts=1] The number of the attempt to export the leads.
+   * @returns {Promise<CioLeadsExportState>} The state of the requested export.
+   * @memberof SyncAgent
+   */
+  async requestLeadsExport(attempts: number = 1): Promise<CioLeadsExportState> {
+    const result = await this.serviceClient.postExportLead();
+    const now = DateTime.utc().toISO();
+    return this.updateLeadsExportState(
+      {
+        id: result.body.id,
+        status: "requested",
+        requested_at: now,
+        status_changed_at: now,
+        attempts,
+        error: null,
+        results: null
+      },
+      {}
     );
+  }
 
-    await Promise.all(
-      updatedEnvelopes.map(async updatedEnvelope => {
-        try {
-          if (updatedEnvelope.error !== null) {
-            throw new Error(updatedEnvelope.error);
-          }
-        
-          updatedEnvelope.cioLeadRead.last_email_sent = await this.getLeadLastestEmailSent(updatedEnvelope.cioLeadRead.id);
-
-          await this.hullClient
-            .asAccount(updatedEnvelope.message.account)
-            .traits(
-              this.mappingUtil.mapLeadToHullAccountAttributes(
-                updatedEnvelope.cioLeadRead
-              )
-            );
-          return this.hullClient
-            .asAccount(updatedEnvelope.message.account)
-            .logger.info(
-              "outgoing.account.success",
-              updatedEnvelope.cioLeadWrite
-            );
-        } catch (error) {
-          return this.hullClient
-            .asAccount(updatedEnvelope.message.account)
-            .logger.info("outgoing.account.error", error);
-        }
-      })
-    );
+  /**
+   * Requests the export again if attempts are left; otherwise the export fails.
+   *
+   * @param {CioLeadsExportState} state The current state of the export.
+   * @param {string} reason The reason why the export has to be repeated.
+   * @returns {Promise<CioLeadsExportState>} The new state of the export.
+   * @memberof SyncAgent
+   */
+  retryLeadsExport(
+    state: CioLeadsExportState,
+    reason: string
+  ): Promise<CioLeadsExportState> {
+    if (state.attempts >= LEADS_EXPORT_MAX_ATTEMPTS) {
+      this.hullClient.logger.error("incoming.job.error", {
+        reason,
+        export_id: state.id
+      });
+      return this.updateLeadsExportState(state, {
+        status: "failed",
+        error: reason
+      });
+    }
 
-    const insertedEnvelopes = await this.serviceClient.postLeadEnvelopes(
-      filterResults.toInsert
-    );
+    this.hullClient.logger.info("incoming.job.progress", {
+      reason: `${reason} Requesting the export again.`,
+      export_id: state.id
+    });
+    return this.requestLeadsExport(state.attempts + 1);
+  }
 
-    await Promise.all(
-      insertedEnvelopes.map(async insertedEnvelope => {
-        try {
-          if (insertedEnvelope.error !== null) {
-            throw new Error(insertedEnvelope.error);
-          }
-          await this.hullClient
-            .asAccount(insertedEnvelope.message.account)
-            .traits(
-              this.mappingUtil.mapLeadToHullAccountAttributes(
-                insertedEnvelope.cioLeadRead
-              )
-            );
-          await this.cache.set(
-            insertedEnvelope.hullAccount.id,
-            insertedEnvelope.cioLeadRead.id
-          );
-          return this.hullClient
-            .asAccount(insertedEnvelope.message.account)
-            .logger.info(
-              "outgoing.account.success",
-              insertedEnvelope.cioLeadWrite
-            );
-        } catch (error) {
-          return this.hullClient
-            .asAccount(insertedEnvelope.message.account)
-            .logger.info("outgoing.account.error", insertedEnvelope.error);
-        }
-      })
-    );
+  /**
+   * Triggers a new full leads export unless another export is still active
+   * or the export storage is not configured properly.
+   *
+   * @returns {Promise<CioLeadsExportState>} The state of the requested export.
+   * @memberof SyncAgent
+   */
+  triggerLeadsExport(): Promise<CioLeadsExportState> {
+    const state = this.getLeadsExportState();
+    if (
+      state !== null &&
+      _.includes(LEADS_EXPORT_ACTIVE_STATUSES, state.status)
+    ) {
+      return Promise.reject(
+        new Error(
+          `The export ${state.id} is still ${
+            state.status
+          }, wait until it is finished.`
+        )
+      );
+    }
+    try {
+      createExportStorage({ hostname: this.hostname });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return this.requestLeadsExport();
   }
 
-  async triggerLeadsExport() {
-    const result = await this.serviceClient.postExportLead();
-    const exportId = result.body.id;
-    await this.settingsUpdate({
-      pending_export_id: exportId,
-      handle_leads_export_interval: "5"
-    });
+  /**
+   * Returns the state of the full leads export including
+   * the progress of close.io while the export is processed.
+   *
+   * @returns {Promise<Object>} The state of the export.
+   * @memberof SyncAgent
+   */
+  async getLeadsExportStatus(): Promise<Object> {
+    const state = this.getLeadsExportState();
+    if (
+      state === null ||
+      !_.includes(["requested", "processing"], state.status)
+    ) {
+      return { export: state };
+    }
+
+    try {
+      const response = await this.serviceClient.getExportLead(state.id);
+      return {
+        export: state,
+        progress: {
+          processed: response.body.n_docs_processed,
+          total: response.body.n_docs,
+          status: response.body.status
+        }
+      };
+    } catch (error) {
+      return { export: state };
+    }
   }
 
-  async handleLeadsExport() {
-    this.hullClient.logger.info("incoming.job.start");
-    if (!this.normalizedPrivateSettings.pending_export_id) {
+  /**
+   * Moves the full leads export one step forward. It waits until close.io
+   * has processed the export, then downloads it and imports the leads and
+   * contacts into Hull. Exports which fail or time out are requested again.
+   *
+   * @returns {Promise<any>} A promise which wraps the async processing operation.
+   * @memberof SyncAgent
+   */
+  async handleLeadsExport(): Promise<any> {
+    const state = this.getLeadsExportState();
+    if (
+      state === null ||
+      !_.includes(LEADS_EXPORT_ACTIVE_STATUSES, state.status)
+    ) {
       this.hullClient.logger.info("incoming.job.skip", {
-        reason: "No pending export id"
+        reason: "No pending export"
       });
       return Promise.resolve();
     }
-    await this.initialize();
-    let leadsExportStream;
+
+    const minutesInStatus = DateTime.utc()
+      .diff(DateTime.fromISO(state.status_changed_at, { zone: "utc" }))
+      .as("minutes");
+
     try {
-      leadsExportStream = await this.serviceClient.getExportLeadStream(
-        this.normalizedPrivateSettings.pending_export_id
+      if (state.status === "downloading" || state.status === "importing") {
+        // The running import records its progress, so only a stalled import
+        // is repeated and leads are not imported twice
+        const minutesSinceHeartbeat = DateTime.utc()
+          .diff(
+            DateTime.fromISO(state.heartbeat_at || state.status_changed_at, {
+              zone: "utc"
+            })
+          )
+          .as("minutes");
+        if (minutesSinceHeartbeat < LEADS_EXPORT_IMPORT_TIMEOUT) {
+          this.hullClient.logger.info("incoming.job.skip", {
+            reason: `The export is still ${state.status}.`,
+            export_id: state.id
+          });
+          return Promise.resolve();
+        }
+        // The download link of the export might have expired meanwhile
+        return this.retryLeadsExport(
+          state,
+          `The export made no progress ${state.status} in time.`
+        );
+      }
+
+      let exportResponse;
+      try {
+        exportResponse = await this.serviceClient.getExportLead(state.id);
+      } catch (error) {
+        // Unknown or expired exports have to be requested again
+        const status = _.get(error, "response.status", _.get(error, "status"));
+        if (
+          status === 404 ||
+          minutesInStatus >= LEADS_EXPORT_PROCESSING_TIMEOUT
+        ) {
+          return this.retryLeadsExport(
+            state,
+            `The status of the export cannot be retrieved: ${error.message}.`
+          );
+        }
+        throw error;
+      }
+      const closeStatus = _.get(exportResponse, "body.status");
+      if (_.includes(["error", "failed", "canceled"], closeStatus)) {
+        return this.retryLeadsExport(
+          state,
+          `The export failed in close.io with status '${closeStatus}'.`
+        );
+      }
+      if (closeStatus !== "done") {
+        if (minutesInStatus >= LEADS_EXPORT_PROCESSING_TIMEOUT) {
+          return this.retryLeadsExport(
+            state,
+            "The export hasn't been processed by close.io in time."
+          );
+        }
+        if (state.status !== "processing") {
+          await this.updateLeadsExportState(state, { status: "processing" });
+        }
+        this.hullClient.logger.info("incoming.job.progress", {
+          export_id: state.id,
+          processed: _.get(exportResponse, "body.n_docs_processed"),
+          total: _.get(exportResponse, "body.n_docs")
+        });
+        return Promise.resolve();
+      }
+
+      this.hullClient.logger.info("incoming.job.start", {
+        export_id: state.id
+      });
+      const downloadingState = await this.updateLeadsExportState(state, {
+        status: "downloading",
+        heartbeat_at: DateTime.utc().toISO()
+      });
+      let leadsExportStream;
+      try {
+        leadsExportStream = await this.serviceClient.getExportLeadStream(
+          state.id
+        );
+      } catch (error) {
+        return this.retryLeadsExport(
+          downloadingState,
+          `The export cannot be downloaded: ${error.message}.`
+        );
+      }
+
+      const importingState = await this.updateLeadsExportState(
+        downloadingState,
+        { status: "importing", heartbeat_at: DateTime.utc().toISO() }
       );
+      try {
+        const results = await this.importLeadsExport(leadsExportStream);
+        this.hullClient.logger.info("incoming.job.success", results);
+        return this.updateLeadsExportState(importingState, {
+          status: "done",
+          results
+        });
+      } catch (error) {
+        return this.retryLeadsExport(
+          importingState,
+          `The export cannot be imported: ${error.message}.`
+        );
+      }
     } catch (error) {
-      this.hullClient.logger.info("incoming.job.skip", { reason: error });
+      this.hullClient.logger.error("incoming.job.error", {
+        reason: error.message,
+        export_id: state.id
+      });
       return Promise.resolve();
     }
+  }
+
+  /**
+   * Records the progress of the import of the full leads export, so the
+   * export isn't requested again while it is still imported.
+   *
+   * @returns {Promise<any>} A promise which wraps the async operation.
+   * @memberof SyncAgent
+   */
+  async updateLeadsExportHeartbeat(): Promise<any> {
+    const state = this.getLeadsExportState();
+    if (state === null) {
+      return;
+    }
+    const newState = _.assign({}, state, {
+      heartbeat_at: DateTime.utc().toISO()
+    });
+    try {
+      await this.settingsUpdate({ leads_export: newState });
+      this.normalizedPrivateSettings.leads_export = newState;
+    } catch (error) {
+      // A missed heartbeat only delays the detection of a stalled import
+      this.hullClient.logger.info("incoming.job.progress", {
+        reason: `The progress of the import cannot be recorded: ${
+          error.message
+        }`,
+        export_id: state.id
+      });
+    }
+  }
+
+  /**
+   * Imports the leads and contacts of the downloaded export into Hull
+   * through the configured export storage and records its progress.
+   *
+   * @param {Readable} leadsExportStream The stream of exported leads.
+   * @returns {Promise<Object>} The import jobs of accounts and users and the number of dropped records.
+   * @memberof SyncAgent
+   */
+  async importLeadsExport(leadsExportStream: Readable): Promise<Object> {
+    await this.initialize();
 
-    const transformLeads = promiseToTransformStream(lead => {
+    // Leads without identifier and their contacts cannot be imported
+    const dropped = { accounts: 0, contacts: 0 };
+    let lastHeartbeatAt = DateTime.utc();
+    const transformLeads = promiseToTransformStream(async lead => {
+      if (
+        DateTime.utc()
+          .diff(lastHeartbeatAt)
+          .as("minutes") >= LEADS_EXPORT_HEARTBEAT_INTERVAL
+      ) {
+        lastHeartbeatAt = DateTime.utc();
+        await this.updateLeadsExportHeartbeat();
+      }
       const leadToImport = this.mappingUtil.mapLeadToHullAccountImportObject(
         lead
       );
       if (leadToImport === null) {
-        return Promise.resolve();
+        dropped.accounts += 1;
+        return undefined;
       }
-      return Promise.resolve(leadToImport);
+      leadToImport.traits = _.assign(
+        await this.mapRemovedAddressesToHullAccountAttributes(lead),
+        leadToImport.traits
+      );
+      return leadToImport;
     });
 
     const transformContacts = promiseToTransformStream(
       (lead, encoding, push) => {
+        const contacts = _.get(lead, "contacts", []);
         const leadToImport = this.mappingUtil.mapLeadToHullAccountImportObject(
           lead
         );
         if (leadToImport === null) {
+          dropped.contacts += contacts.length;
           return Promise.resolve();
         }
-        lead.contacts.forEach(contact => {
+        contacts.forEach(contact => {
           const contactToImport = this.mappingUtil.mapContactToHullUserImportObject(
             leadToImport,
             contact
           );
           if (contactToImport === null) {
+            dropped.contacts += 1;
             return null;
           }
           return push(contactToImport);
@@ -759,13 +2807,16 @@ class SyncAgent {
       }
     );
 
+    const exportStorage = createExportStorage({ hostname: this.hostname });
+
+    // The export storage provides the same interface as S3 for the import stream
     const importS3StreamAccounts = new ImportS3Stream(
       {
         hullClient: this.hullClient,
-        s3: new AWS.S3()
+        s3: exportStorage
       },
       {
-        s3Bucket: this.s3Bucket,
+        s3Bucket: exportStorage.bucket,
         importType: "accounts",
         emitEvent: false,
         notify: false,
@@ -778,10 +2829,10 @@ class SyncAgent {
     const importS3StreamUsers = new ImportS3Stream(
       {
         hullClient: this.hullClient,
-        s3: new AWS.S3()
+        s3: exportStorage
       },
       {
-        s3Bucket: this.s3Bucket,
+        s3Bucket: exportStorage.bucket,
         importType: "users",
         emitEvent: false,
         notify: false,
@@ -796,24 +2847,16 @@ class SyncAgent {
       promisePipe(leadsExportStream, transformContacts, importS3StreamUsers)
     ];
 
-    return Promise.all(promises)
-      .then(() => {
-        this.hullClient.logger.info("incoming.job.success", {
-          accounts: importS3StreamAccounts.importResults.map(result =>
-            _.pick(result, "settings.size", "job_id")
-          ),
-          contacts: importS3StreamUsers.importResults.map(result =>
-            _.pick(result, "settings.size", "job_id")
-          )
-        });
-        return this.settingsUpdate({
-          handle_leads_export_interval: "720",
-          pending_export_id: null
-        });
-      })
-      .catch(error => {
-        this.hullClient.logger.info("incoming.job.error", error);
-      });
+    await Promise.all(promises);
+    return {
+      accounts: importS3StreamAccounts.importResults.map(result =>
+        _.pick(result, "settings.size", "job_id")
+      ),
+      contacts: importS3StreamUsers.importResults.map(result =>
+        _.pick(result, "settings.size", "job_id")
+      ),
+      dropped
+    };
   }
 
   async getLeadLastestEmailSent(leadId: string): Promise<CioEmailRead> {
@@ -836,23 +2879,100 @@ class SyncAgent {
     }
   }
 
-  cleanToUpdateContactEnvelopes(envelopes) {
-    return Promise.all(_.map(
-      envelopes,
-      async envelope => {
+  /**
+   * Merges the addresses and other list fields of the leads to update
+   * with the values which the leads currently have in close.io.
+   * If a lead cannot be read, the fields which require a merge are not sent.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes of the leads to update.
+   * @returns {Promise<Array<AccountUpdateEnvelope>>} The envelopes with the merged leads.
+   * @memberof SyncAgent
+   */
+  cleanToUpdateLeadEnvelopes(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<Array<AccountUpdateEnvelope>> {
+    return Promise.all(
+      _.map(envelopes, async envelope => {
+        const mergeFields = this.mappingUtil.getMergeFields(
+          "Lead",
+          envelope.cioLeadWrite
+        );
+        if (_.isEmpty(mergeFields)) {
+          return envelope;
+        }
+        try {
+          const actualLeadRead = (await this.serviceClient.withRetries(() =>
+            this.serviceClient.getLead(envelope.cioLeadWrite.id)
+          )).body;
+
+          // The change detection compares the mapped lead, not the merged one
+          envelope.cioLeadWriteHash = FilterUtil.getPayloadHash(
+            envelope.cioLeadWrite
+          );
+          envelope.cioLeadWrite = this.mappingUtil.mergeLead(
+            actualLeadRead,
+            envelope.cioLeadWrite
+          );
+        } catch (e) {
+          // Sending these fields unmerged would overwrite the data in close.io
+          envelope.cioLeadWrite = _.omit(envelope.cioLeadWrite, mergeFields);
+          this.hullClient
+            .asAccount(envelope.message.account)
+            .logger.warn(
+              "outgoing.account.warning",
+              SHARED_MESSAGES.MAPPING_SKIP_MERGEFIELDS("Lead", mergeFields)
+            );
+        }
+        return envelope;
+      })
+    );
+  }
+
+  /**
+   * Merges the list fields and the fields which must not be overwritten
+   * of the contacts to update with the contacts in close.io.
+   * If a contact cannot be read, the fields which require a merge are not sent.
+   *
+   * @param {Array<UserUpdateEnvelope>} envelopes The envelopes of the contacts to update.
+   * @returns {Promise<Array<UserUpdateEnvelope>>} The envelopes with the merged contacts.
+   * @memberof SyncAgent
+   */
+  cleanToUpdateContactEnvelopes(
+    envelopes: Array<UserUpdateEnvelope>
+  ): Promise<Array<UserUpdateEnvelope>> {
+    return Promise.all(
+      _.map(envelopes, async envelope => {
         try {
-          const actualContactRead = (await this.serviceClient.getContact(envelope.cioContactWrite.id)).body;
-          
-          
+          const actualContactRead = (await this.serviceClient.withRetries(() =>
+            this.serviceClient.getContact(envelope.cioContactWrite.id)
+          )).body;
+
           envelope.cioContactWrite = this.mappingUtil.mergeContact(
             actualContactRead,
             envelope.cioContactWrite
-          )
+          );
         } catch (e) {
-          return envelope;
+          const mergeFields = this.mappingUtil.getMergeFields(
+            "Contact",
+            envelope.cioContactWrite
+          );
+          if (!_.isEmpty(mergeFields)) {
+            // Sending these fields unmerged would overwrite the data in close.io
+            envelope.cioContactWrite = _.omit(
+              envelope.cioContactWrite,
+              mergeFields
+            );
+            this.hullClient
+              .asUser(envelope.message.user)
+              .logger.warn(
+                "outgoing.user.warning",
+                SHARED_MESSAGES.MAPPING_SKIP_MERGEFIELDS("Contact", mergeFields)
+              );
+          }
         }
-      }
-    ))
+        return envelope;
+      })
+    );
   }
 
   /**
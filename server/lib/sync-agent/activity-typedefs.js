@@ -0,0 +1,47 @@
+/* @flow */
+import type { CioActivityTypeDefinition } from "../types";
+
+const ACTIVITY_TYPEDEFS: Array<CioActivityTypeDefinition> = [
+  {
+    id: "Call",
+    label: "Calls",
+    objectType: "activity.call",
+    event: "Close.io Call",
+    properties: ["status", "phone", "disposition"]
+  },
+  {
+    id: "Email",
+    label: "Emails",
+    objectType: "activity.email",
+    event: "Close.io Email",
+    properties: ["status", "subject", "template_name", "sequence_name"]
+  },
+  {
+    id: "Meeting",
+    label: "Meetings",
+    objectType: "activity.meeting",
+    event: "Close.io Meeting",
+    properties: ["status", "title", "location", "starts_at", "ends_at"]
+  },
+  {
+    id: "Note",
+    label: "Notes",
+    objectType: "activity.note",
+    event: "Close.io Note",
+    properties: ["note"]
+  },
+  {
+    id: "LeadStatusChange",
+    label: "Lead Status Changes",
+    objectType: "activity.lead_status_change",
+    event: "Close.io Lead Status Changed",
+    properties: [
+      "old_status_id",
+      "old_status_label",
+      "new_status_id",
+      "new_status_label"
+    ]
+  }
+];
+
+module.exports = ACTIVITY_TYPEDEFS;
@@ -9,10 +9,19 @@ import type {
 
 const _ = require("lodash");
 const Promise = require('bluebird');
+const crypto = require("crypto");
 
 const SHARED_MESSAGES = require("../shared-messages");
 
 class FilterUtil {
+  /**
+   * Gets or sets the synchronized user segments.
+   *
+   * @type {Array<string>}
+   * @memberof FilterUtil
+   */
+  synchronizedSegments: Array<string>;
+
   /**
    * Gets or sets the synchronized account segments.
    *
@@ -21,6 +30,22 @@ class FilterUtil {
    */
   synchronizedAccountSegments: Array<string>;
 
+  /**
+   * Gets or sets the events to send as notes.
+   *
+   * @type {Array<string>}
+   * @memberof FilterUtil
+   */
+  synchronizedEvents: Array<string>;
+
+  /**
+   * Gets or sets the account segments to create opportunities for.
+   *
+   * @type {Array<string>}
+   * @memberof FilterUtil
+   */
+  synchronizedOpportunitySegments: Array<string>;
+
   /**
    * Gets or sets the identifier attribute of the hull account.
    *
@@ -38,7 +63,11 @@ class FilterUtil {
    */
   constructor(config: FilterUtilConfiguration) {
     // Configure the util with sensible defaults
+    this.synchronizedSegments = config.synchronizedSegments || [];
     this.synchronizedAccountSegments = config.synchronizedAccountSegments || [];
+    this.synchronizedEvents = config.synchronizedEvents || [];
+    this.synchronizedOpportunitySegments =
+      config.synchronizedOpportunitySegments || [];
     this.leadIdentifierHull = config.leadIdentifierHull || "domain";
     this.cache = config.cache;
   }
@@ -73,19 +102,47 @@ class FilterUtil {
         return results.toSkip.push(envelope);
       }
 
+      // Filter users that do not match the whitelisted user segments
+      if (!this.matchesSynchronizedUserSegments(envelope)) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_NOMATCHUSERSEGMENTS();
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+
       const cachedContactCioId = await this.cache.get(envelope.hullUser.id);
       if (
-        _.has(envelope.hullUser, "traits_closeio/id")
+        !_.isNil(envelope.hullUser["traits_closeio/id"])
         || !_.isNil(cachedContactCioId)
       ) {
         envelope.cioContactWrite.id = envelope.hullUser["traits_closeio/id"] || cachedContactCioId;
         return results.toUpdate.push(envelope);
       }
 
-      const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_USERDOESNTEXISTINCLOSEIO();
-      envelope.skipReason = skipMsg.message;
-      envelope.opsResult = "skip";
-      return results.toSkip.push(envelope);
+      // Don't bring back contacts which have been deleted in close.io
+      if (!_.isNil(envelope.hullUser["traits_closeio/deleted_at"])) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_CONTACTDELETEDINCLOSEIO();
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+
+      // New contacts can only be created under the lead of the linked account
+      const accountId = _.get(envelope.hullUser, "account.id");
+      const cachedLeadCioId = _.isNil(accountId)
+        ? undefined
+        : await this.cache.get(accountId);
+      const leadCioId =
+        _.get(envelope.hullUser, ["account", "closeio/id"]) || cachedLeadCioId;
+      if (_.isNil(leadCioId)) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_NOLINKEDACCOUNT();
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+
+      envelope.cioContactWrite.lead_id = leadCioId;
+      return results.toInsert.push(envelope);
     });
     return results;
   }
@@ -122,22 +179,211 @@ class FilterUtil {
 
       const cachedCioLeadId = await this.cache.get(envelope.hullAccount.id);
       if (
-        _.has(envelope.hullAccount, "closeio/id")
+        !_.isNil(envelope.hullAccount["closeio/id"])
         || !_.isNil(cachedCioLeadId)
       ) {
         envelope.cioLeadWrite.id = envelope.hullAccount["closeio/id"] || cachedCioLeadId;
         return results.toUpdate.push(envelope);
       }
 
-      const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_ACCOUNTDOESNTEXISTINCLOSEIO();
-      envelope.skipReason = skipMsg.message;
-      envelope.opsResult = "skip";
-      return results.toSkip.push(envelope);
+      // Don't bring back leads which have been deleted in close.io
+      if (!_.isNil(envelope.hullAccount["closeio/deleted_at"])) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_LEADDELETEDINCLOSEIO();
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+
+      // Without a value for the identifier we cannot look up
+      // existing leads and would create duplicates in close.io
+      if (_.isNil(_.get(envelope.hullAccount, this.leadIdentifierHull))) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_NOLEADIDENT(
+          this.leadIdentifierHull
+        );
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+
+      return results.toInsert.push(envelope);
     });
 
     return results;
   }
 
+  /**
+   * Filters out the account envelopes whose lead payload is the same
+   * as the one last written to close.io for the account.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes of leads to update.
+   * @returns {Promise<FilterResults<AccountUpdateEnvelope>>} The envelopes to update or skip.
+   * @memberof FilterUtil
+   */
+  async filterUnchangedLeads(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<FilterResults<AccountUpdateEnvelope>> {
+    const results: FilterResults<AccountUpdateEnvelope> = {
+      toSkip: [],
+      toInsert: [],
+      toUpdate: []
+    };
+
+    await Promise.each(envelopes, async (envelope: AccountUpdateEnvelope) => {
+      const cachedHash = await this.cache.get(
+        FilterUtil.getLeadHashCacheKey(envelope.hullAccount)
+      );
+      if (cachedHash === FilterUtil.getPayloadHash(envelope.cioLeadWrite)) {
+        const skipMsg = SHARED_MESSAGES.OPERATION_SKIP_LEADUNCHANGED();
+        envelope.skipReason = skipMsg.message;
+        envelope.opsResult = "skip";
+        return results.toSkip.push(envelope);
+      }
+      return results.toUpdate.push(envelope);
+    });
+
+    return results;
+  }
+
+  /**
+   * Returns the cache key to track the lead payload last written for an account.
+   *
+   * @static
+   * @param {Object} hullAccount The Hull account.
+   * @returns {string} The cache key.
+   * @memberof FilterUtil
+   */
+  static getLeadHashCacheKey(hullAccount: Object): string {
+    return `leadhash_${hullAccount.id}`;
+  }
+
+  /**
+   * Computes a hash of the payload which doesn't depend on the order of keys.
+   *
+   * @static
+   * @param {Object} payload The payload written to close.io.
+   * @returns {string} The hash of the payload.
+   * @memberof FilterUtil
+   */
+  static getPayloadHash(payload: Object): string {
+    const sortKeys = value => {
+      if (_.isArray(value)) {
+        return value.map(sortKeys);
+      }
+      if (_.isPlainObject(value)) {
+        return _.fromPairs(
+          _.sortBy(_.toPairs(value), 0).map(([key, v]) => [key, sortKeys(v)])
+        );
+      }
+      return value;
+    };
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify(sortKeys(payload)))
+      .digest("hex");
+  }
+
+  /**
+   * Filters the list of synchronized account envelopes to determine
+   * whether an opportunity has to be created or updated on their lead.
+   *
+   * @param {Array<AccountUpdateEnvelope>} envelopes The envelopes with a synchronized lead.
+   * @returns {Promise<FilterResults<AccountUpdateEnvelope>>} The filter result.
+   * @memberof FilterUtil
+   */
+  async filterOpportunities(
+    envelopes: Array<AccountUpdateEnvelope>
+  ): Promise<FilterResults<AccountUpdateEnvelope>> {
+    const results: FilterResults<AccountUpdateEnvelope> = {
+      toSkip: [],
+      toInsert: [],
+      toUpdate: []
+    };
+
+    await Promise.each(envelopes, async (envelope: AccountUpdateEnvelope) => {
+      const msgSegmentIds: Array<string> = _.get(
+        envelope,
+        "message.account_segments",
+        []
+      ).map(s => s.id);
+      if (
+        _.intersection(msgSegmentIds, this.synchronizedOpportunitySegments)
+          .length === 0 ||
+        _.isNil(_.get(envelope, "cioLeadRead.id"))
+      ) {
+        return results.toSkip.push(envelope);
+      }
+
+      envelope.cioOpportunityWrite.lead_id = _.get(envelope, "cioLeadRead.id");
+      const cachedOpportunityCioId = await this.cache.get(
+        FilterUtil.getOpportunityCacheKey(envelope.hullAccount)
+      );
+      if (
+        !_.isNil(envelope.hullAccount["closeio/opportunity_id"]) ||
+        !_.isNil(cachedOpportunityCioId)
+      ) {
+        envelope.cioOpportunityWrite.id =
+          envelope.hullAccount["closeio/opportunity_id"] ||
+          cachedOpportunityCioId;
+        return results.toUpdate.push(envelope);
+      }
+
+      return results.toInsert.push(envelope);
+    });
+
+    return results;
+  }
+
+  /**
+   * Returns the cache key to track the opportunity created for an account.
+   *
+   * @static
+   * @param {Object} hullAccount The Hull account.
+   * @returns {string} The cache key.
+   * @memberof FilterUtil
+   */
+  static getOpportunityCacheKey(hullAccount: Object): string {
+    return `opportunity_${hullAccount.id}`;
+  }
+
+  /**
+   * Filters the events of an user to the whitelisted ones which
+   * haven't been sent as note to close.io yet.
+   *
+   * @param {Array<Object>} events The events of the user.
+   * @returns {Promise<Array<Object>>} The events to send.
+   * @memberof FilterUtil
+   */
+  async filterEvents(events: Array<Object>): Promise<Array<Object>> {
+    const whitelistedEvents = _.filter(events, e => {
+      return (
+        !_.isNil(e.event_id) && _.includes(this.synchronizedEvents, e.event)
+      );
+    });
+
+    const results = [];
+    await Promise.each(whitelistedEvents, async (event: Object) => {
+      const cachedNoteCioId = await this.cache.get(
+        FilterUtil.getEventCacheKey(event)
+      );
+      if (_.isNil(cachedNoteCioId)) {
+        results.push(event);
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Returns the cache key to track the note created for an event.
+   *
+   * @static
+   * @param {Object} event The Hull event.
+   * @returns {string} The cache key.
+   * @memberof FilterUtil
+   */
+  static getEventCacheKey(event: Object): string {
+    return `note_${event.event_id}`;
+  }
+
   /**
    * Checks whether an envelope matches the synchronized account segments or not.
    *
@@ -163,6 +409,30 @@ class FilterUtil {
     return false;
   }
 
+  /**
+   * Checks whether an user envelope matches the synchronized user segments or not.
+   * Without any user segments, users are only filtered by their account
+   * which is how the connector behaved before the user whitelist existed.
+   *
+   * @param {UserUpdateEnvelope} envelope The user envelope to check.
+   * @returns {boolean} True if the envelope matches; otherwise false.
+   * @memberof FilterUtil
+   */
+  matchesSynchronizedUserSegments(envelope: UserUpdateEnvelope): boolean {
+    if (_.isEmpty(this.synchronizedSegments)) {
+      return true;
+    }
+    const msgSegmentIds: Array<string> = _.get(
+      envelope,
+      "message.segments",
+      []
+    ).map(s => s.id);
+    if (_.intersection(msgSegmentIds, this.synchronizedSegments).length > 0) {
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Deduplicates messages by user.id and joins all events into a single message.
    *
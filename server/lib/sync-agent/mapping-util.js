@@ -17,16 +17,45 @@ import type {
   CioOutboundMapping,
   CioMappingUtilSettings,
   CioLeadStatus,
+  CioOpportunityStatus,
+  CioOpportunityWrite,
   CioEmailRead,
   CioLeadCustomField,
+  CioNoteWrite,
+  CioActivityRead,
+  CioLeadOpportunityRead,
+  CioLeadStatusRule,
+  CioUser,
+  CioAddress,
+  CioAddressPrimaryRule,
+  CioMergeStrategy,
+  HullTrackEvent,
   AccountUpdateEnvelope,
   UserUpdateEnvelope
 } from "../types";
 
 const _ = require("lodash");
+const moment = require("moment");
 const { URL } = require("url");
 const debug = require("debug")("hull-closeio:mapping-util");
 
+const ACTIVITY_TYPEDEFS = require("./activity-typedefs");
+const SHARED_MESSAGES = require("../shared-messages");
+
+const DEFAULT_NOTE_TEMPLATE = "{{ event }} on {{ created_at }}";
+
+const MERGE_STRATEGIES = ["replace", "append-unique", "set-if-empty"];
+
+const ADDRESS_FIELDS = [
+  "label",
+  "address_1",
+  "address_2",
+  "city",
+  "state",
+  "zipcode",
+  "country"
+];
+
 class MappingUtil {
   /**
    * Gets or set the attribute mappings for all object types.
@@ -40,9 +69,29 @@ class MappingUtil {
 
   leadCustomFields: Array<CioLeadCustomField>;
 
+  contactCustomFields: Array<CioLeadCustomField>;
+
+  opportunityCustomFields: Array<CioLeadCustomField>;
+
+  opportunityStatuses: Array<CioOpportunityStatus>;
+
   leadIdentifierHull: string;
   leadIdentifierService: string;
 
+  eventsNoteTemplate: string;
+
+  leadStatusRules: Array<CioLeadStatusRule>;
+
+  leadStatusNoDowngrade: boolean;
+
+  users: Array<CioUser>;
+
+  leadOwnerHull: ?string;
+
+  leadOwnerField: ?string;
+
+  leadAddressPrimary: CioAddressPrimaryRule;
+
   /**
    *Creates an instance of MappingUtil.
    * @param {CioMappingUtilSettings} settings The settings to configure the util.
@@ -52,30 +101,339 @@ class MappingUtil {
     this.attributeMappings = settings.attributeMappings;
     this.leadStatuses = settings.leadStatuses;
     this.leadCustomFields = settings.leadCustomFields;
-    this.leadIdentifierHull = settings.leadIdentifierHull;
-    this.leadIdentifierService = settings.leadIdentifierService;
+    this.contactCustomFields = settings.contactCustomFields || [];
+    this.opportunityCustomFields = settings.opportunityCustomFields || [];
+    this.opportunityStatuses = settings.opportunityStatuses || [];
+    this.leadIdentifierHull = settings.leadIdentifierHull || "domain";
+    this.leadIdentifierService = settings.leadIdentifierService || "url";
+    this.eventsNoteTemplate =
+      settings.eventsNoteTemplate || DEFAULT_NOTE_TEMPLATE;
+    this.leadStatusRules = settings.leadStatusRules || [];
+    this.leadStatusNoDowngrade = settings.leadStatusNoDowngrade === true;
+    this.users = settings.users || [];
+    this.leadOwnerHull = settings.leadOwnerHull;
+    this.leadOwnerField = settings.leadOwnerField;
+    this.leadAddressPrimary = settings.leadAddressPrimary || "first";
   }
 
   mapHullAccountToLead(envelope: AccountUpdateEnvelope): CioLeadWrite {
     const hullObject = envelope.hullAccount;
     const svcObject: CioLeadWrite = {};
 
-    return this.mapCustomFields("Lead", hullObject, svcObject);
+    const leadObject = this.mapCustomFields(
+      "Lead",
+      hullObject,
+      svcObject,
+      envelope.skippedFields
+    );
+
+    // Always send the identifier, otherwise we cannot find
+    // the lead again when looking it up before an insert
+    const identValue = _.get(hullObject, this.leadIdentifierHull);
+    if (!_.isNil(identValue)) {
+      leadObject[this.leadIdentifierService] = identValue;
+    }
+
+    const statusId = this.mapHullAccountToLeadStatus(envelope);
+    if (statusId !== null) {
+      leadObject.status_id = statusId;
+    }
+
+    if (!_.isEmpty(this.leadOwnerField) && !_.isEmpty(this.leadOwnerHull)) {
+      const owner = this.findUserByEmail(_.get(hullObject, this.leadOwnerHull));
+      if (owner !== undefined) {
+        leadObject[this.leadOwnerField] = owner.id;
+      }
+    }
+
+    return leadObject;
+  }
+
+  /**
+   * Finds the close.io user with the given email address.
+   *
+   * @param {*} email The email address, usually a Hull attribute value.
+   * @returns {(CioUser | void)} The user or undefined if there is none.
+   * @memberof MappingUtil
+   */
+  findUserByEmail(email: any): CioUser | void {
+    if (typeof email !== "string" || email === "") {
+      return undefined;
+    }
+    return _.find(
+      this.users,
+      user => _.toLower(user.email) === _.toLower(_.trim(email))
+    );
+  }
+
+  /**
+   * Determines the lead status of the account by the first matching rule.
+   * Downgrades are prevented when merging with the lead in close.io.
+   *
+   * @param {AccountUpdateEnvelope} envelope The envelope of the account.
+   * @returns {(string | null)} The id of the lead status or null to not set it.
+   * @memberof MappingUtil
+   */
+  mapHullAccountToLeadStatus(envelope: AccountUpdateEnvelope): string | null {
+    const segmentIds = _.map(
+      _.get(envelope, "message.account_segments", []),
+      "id"
+    );
+    const ruleIndex = _.findIndex(this.leadStatusRules, rule => {
+      if (
+        !_.isEmpty(rule.hull_segment_id) &&
+        !_.includes(segmentIds, rule.hull_segment_id)
+      ) {
+        return false;
+      }
+      if (_.isEmpty(rule.hull_field_name)) {
+        return true;
+      }
+      const value = _.get(envelope.hullAccount, rule.hull_field_name);
+      if (_.isEmpty(rule.hull_field_value)) {
+        return !_.isNil(value) && value !== "";
+      }
+      return _.some(_.castArray(value), v => `${v}` === rule.hull_field_value);
+    });
+    if (ruleIndex === -1) {
+      return null;
+    }
+
+    const statusId = this.leadStatusRules[ruleIndex].closeio_status_id;
+    if (_.isEmpty(statusId) || statusId === "N/A") {
+      return null;
+    }
+
+    return statusId;
+  }
+
+  /**
+   * Indicates whether changing the current status of a lead to the given
+   * status is a downgrade, which is the case if the current status
+   * comes first in the rules or isn't used by any rule, e.g. because
+   * it has been set manually in close.io.
+   *
+   * @param {?string} currentStatusId The id of the status of the lead in close.io.
+   * @param {string} statusId The id of the status to send.
+   * @returns {boolean} True if the status is a downgrade; otherwise false.
+   * @memberof MappingUtil
+   */
+  isLeadStatusDowngrade(currentStatusId: ?string, statusId: string): boolean {
+    if (_.isNil(currentStatusId) || currentStatusId === statusId) {
+      return false;
+    }
+    const currentRuleIndex = _.findIndex(this.leadStatusRules, {
+      closeio_status_id: currentStatusId
+    });
+    const ruleIndex = _.findIndex(this.leadStatusRules, {
+      closeio_status_id: statusId
+    });
+    return currentRuleIndex === -1 || currentRuleIndex < ruleIndex;
+  }
+
+  /**
+   * Builds the search query to find the close.io lead
+   * matching the identifier of the given Hull account.
+   *
+   * @param {THullAccount} hullAccount The Hull account.
+   * @returns {string} The query to pass to the lead search.
+   * @memberof MappingUtil
+   */
+  mapHullAccountToLeadQuery(hullAccount: THullAccount): string {
+    const identValue = _.get(hullAccount, this.leadIdentifierHull);
+    let fieldName = this.leadIdentifierService;
+    if (_.startsWith(fieldName, "custom.")) {
+      // The search syntax expects the name of custom fields, not the id
+      const customField = _.find(this.leadCustomFields, c => {
+        return `custom.${c.id}` === fieldName;
+      });
+      fieldName = `custom.${_.get(customField, "name", fieldName.slice(7))}`;
+    }
+    return `"${MappingUtil.escapeQueryValue(
+      fieldName
+    )}":"${MappingUtil.escapeQueryValue(identValue)}"`;
+  }
+
+  /**
+   * Escapes backslashes and double quotes, so the value can be used
+   * as quoted value in the search query of close.io.
+   *
+   * @static
+   * @param {*} value The value to quote.
+   * @returns {string} The escaped value.
+   * @memberof MappingUtil
+   */
+  static escapeQueryValue(value: any): string {
+    return _.toString(value).replace(/[\\"]/g, "\\$&");
+  }
+
+  /**
+   * Finds the lead which has exactly the same identifier value
+   * as the Hull account, the search of close.io is a fuzzy one.
+   *
+   * @param {THullAccount} hullAccount The Hull account.
+   * @param {Array<CioLeadRead>} leads The leads returned by the search.
+   * @returns {(CioLeadRead | void)} The matching lead or undefined.
+   * @memberof MappingUtil
+   */
+  findMatchingLead(
+    hullAccount: THullAccount,
+    leads: Array<CioLeadRead>
+  ): CioLeadRead | void {
+    const normalizeIdent = (value: any): string => {
+      if (this.leadIdentifierHull === "domain") {
+        return _.toLower(this.normalizeUrl(_.toString(value)));
+      }
+      return _.toString(value);
+    };
+    const identValue = normalizeIdent(
+      _.get(hullAccount, this.leadIdentifierHull)
+    );
+    return _.find(leads, lead => {
+      const leadValue = _.get(lead, [this.leadIdentifierService]);
+      return !_.isNil(leadValue) && normalizeIdent(leadValue) === identValue;
+    });
   }
 
   mapHullUserToContact(envelope: UserUpdateEnvelope): CioContactWrite {
     const hullObject = envelope.hullUser;
     const svcObject: CioContactWrite = {};
 
-    return this.mapCustomFields("Contact", hullObject, svcObject);
+    const contactObject = this.mapCustomFields(
+      "Contact",
+      hullObject,
+      svcObject,
+      envelope.skippedFields
+    );
+
+    // Contacts always belong to the lead of the linked account
+    const leadId = _.get(hullObject, ["account", "closeio/id"]);
+    if (!_.isNil(leadId)) {
+      contactObject.lead_id = leadId;
+    }
+
+    return contactObject;
+  }
+
+  /**
+   * Maps a Hull account to the close.io opportunity on its lead.
+   * Values are expected in the main unit of the currency and sent in cents,
+   * statuses are resolved by their label.
+   *
+   * @param {AccountUpdateEnvelope} envelope The envelope to map.
+   * @returns {CioOpportunityWrite} The opportunity to write.
+   * @memberof MappingUtil
+   */
+  mapHullAccountToOpportunity(
+    envelope: AccountUpdateEnvelope
+  ): CioOpportunityWrite {
+    const hullAccount = envelope.hullAccount;
+    const opportunityObject: CioOpportunityWrite = {};
+    const mappings = (
+      this.attributeMappings.opportunity_attributes_outbound || []
+    ).filter(entry => {
+      return entry.hull_field_name && entry.closeio_field_name;
+    });
+
+    _.forEach(mappings, (m: CioOutboundMapping) => {
+      const hullAttribValue = _.get(hullAccount, m.hull_field_name);
+      if (_.isNil(hullAttribValue)) {
+        return;
+      }
+
+      switch (m.closeio_field_name) {
+        case "value":
+          if (!_.isNaN(_.toNumber(hullAttribValue))) {
+            opportunityObject.value = Math.round(
+              _.toNumber(hullAttribValue) * 100
+            );
+          }
+          break;
+        case "confidence":
+          if (!_.isNaN(_.toNumber(hullAttribValue))) {
+            opportunityObject.confidence = Math.round(
+              _.toNumber(hullAttribValue)
+            );
+          }
+          break;
+        case "status": {
+          const status = _.find(
+            this.opportunityStatuses,
+            s => _.toLower(s.label) === _.toLower(hullAttribValue)
+          );
+          if (status !== undefined) {
+            opportunityObject.status_id = status.id;
+          }
+          break;
+        }
+        default: {
+          const value = this.mapCustomFieldValue(
+            m,
+            hullAttribValue,
+            this.opportunityCustomFields,
+            envelope.skippedFields
+          );
+          if (value !== undefined) {
+            opportunityObject[m.closeio_field_name] = value;
+          }
+        }
+      }
+    });
+
+    return opportunityObject;
+  }
+
+  /**
+   * Maps a Hull event to a close.io note on the lead of the contact.
+   * Placeholders like `{{ properties.plan }}` in the template are
+   * replaced with the values of the event. The note ends with the id
+   * of the event, so existing notes of an event can be found in close.io.
+   *
+   * @param {Object} event The Hull event.
+   * @param {string} leadId The id of the close.io lead.
+   * @returns {CioNoteWrite} The note to create.
+   * @memberof MappingUtil
+   */
+  mapHullEventToNote(event: Object, leadId: string): CioNoteWrite {
+    const note = this.eventsNoteTemplate.replace(
+      /{{\s*([\w./-]+)\s*}}/g,
+      (match, path) => {
+        const value = _.get(event, path);
+        if (_.isNil(value)) {
+          return "";
+        }
+        return _.isObject(value) ? JSON.stringify(value) : _.toString(value);
+      }
+    );
+
+    return {
+      lead_id: leadId,
+      note: `${note}\n\n${MappingUtil.getEventNoteMarker(event)}`
+    };
+  }
+
+  /**
+   * Returns the text which identifies the note of an event.
+   *
+   * @static
+   * @param {Object} event The Hull event.
+   * @returns {string} The marker contained in the note.
+   * @memberof MappingUtil
+   */
+  static getEventNoteMarker(event: Object): string {
+    return `[Hull event ${event.event_id}]`;
   }
 
   mapCustomFields(
     objType: CioObjectType,
     hullObject: THullAccount | THullUser,
-    svcObject: CioLeadWrite | CioContactWrite
+    svcObject: CioLeadWrite | CioContactWrite,
+    skippedFields: Array<Object> = []
   ): CioLeadWrite | CioContactWrite {
     const modifiedSvcObject = _.cloneDeep(svcObject);
+    const customFields = this.getCustomFields(objType);
+    // Address fields are assembled into a single address
+    const mappedAddress = {};
     // Customized mapping
     const mappings = (
       this.attributeMappings[`${objType.toLowerCase()}_attributes_outbound`] ||
@@ -88,7 +446,44 @@ class MappingUtil {
       const hullAttribValue = _.get(hullObject, m.hull_field_name);
       if (!_.isNil(hullAttribValue)) {
         const svcAttribName = _.get(m, "closeio_field_name");
-        if (
+        if (svcAttribName === "addresses") {
+          const addresses = MappingUtil.parseAddresses(hullAttribValue);
+          if (addresses === undefined) {
+            skippedFields.push(
+              SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+                m.hull_field_name,
+                { type: "address", name: "Addresses" },
+                hullAttribValue
+              )
+            );
+            return;
+          }
+          modifiedSvcObject.addresses = _.concat(
+            _.get(modifiedSvcObject, "addresses", []),
+            addresses
+          );
+        } else if (_.startsWith(svcAttribName, "addresses.")) {
+          const addressField = {
+            id: svcAttribName.slice("addresses.".length),
+            name: svcAttribName,
+            type: "text"
+          };
+          const value = MappingUtil.coerceCustomFieldValue(
+            addressField,
+            hullAttribValue
+          );
+          if (value === undefined) {
+            skippedFields.push(
+              SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+                m.hull_field_name,
+                addressField,
+                hullAttribValue
+              )
+            );
+          } else if (_.includes(ADDRESS_FIELDS, addressField.id)) {
+            mappedAddress[addressField.id] = value;
+          }
+        } else if (
           _.startsWith(svcAttribName, "emails") ||
           _.startsWith(svcAttribName, "phones") ||
           _.startsWith(svcAttribName, "urls")
@@ -104,24 +499,289 @@ class MappingUtil {
             modifiedSvcObject[arrayAttribName] = [];
           }
 
-          _.each(hullValues, hullValue => {
+          // Every value of the Hull attribute becomes a separate entry
+          _.each(_.uniq(_.reject(hullValues, _.isNil)), hullValue => {
             const newVal = { type: typeValue };
-            _.set(newVal, arrayAttribName.slice(0, -1), hullAttribValue);
-            const arrayVal = _.concat(
+            _.set(newVal, arrayAttribName.slice(0, -1), hullValue);
+            const arrayVal = _.unionBy(
               _.get(modifiedSvcObject, arrayAttribName),
-              newVal
+              [newVal],
+              arrayAttribName.slice(0, -1)
             );
             modifiedSvcObject[arrayAttribName] = arrayVal;
           });
         } else {
-          // Regular case, just set whatever we get from hull to the field
-          modifiedSvcObject[svcAttribName] = hullAttribValue;
+          // Regular case, set the value converted to the type of the field
+          const value = this.mapCustomFieldValue(
+            m,
+            hullAttribValue,
+            customFields,
+            skippedFields
+          );
+          if (value !== undefined) {
+            modifiedSvcObject[svcAttribName] = value;
+          }
         }
       }
     });
+
+    if (!_.isEmpty(_.omit(mappedAddress, "label"))) {
+      modifiedSvcObject.addresses = _.concat(
+        _.get(modifiedSvcObject, "addresses", []),
+        _.defaults(mappedAddress, { label: "office" })
+      );
+    }
     return modifiedSvcObject;
   }
 
+  /**
+   * Parses the value of a Hull attribute into close.io addresses.
+   * Accepts an address object, a list of address objects or their JSON.
+   *
+   * @static
+   * @param {*} value The value of the Hull attribute.
+   * @returns {(Array<CioAddress> | void)} The addresses or undefined if the value holds no addresses.
+   * @memberof MappingUtil
+   */
+  static parseAddresses(value: any): Array<CioAddress> | void {
+    let parsedValue = value;
+    if (typeof value === "string") {
+      try {
+        parsedValue = JSON.parse(value);
+      } catch (error) {
+        return undefined;
+      }
+    }
+
+    const values = _.isArray(parsedValue) ? parsedValue : [parsedValue];
+    if (!_.every(values, _.isPlainObject)) {
+      return undefined;
+    }
+    return _.map(values, v => {
+      const address = _.omitBy(_.pick(v, ADDRESS_FIELDS), _.isNil);
+      return _.defaults(address, { label: "office" });
+    }).filter(address => _.size(address) > 1);
+  }
+
+  /**
+   * Selects the primary address out of the addresses with the same label
+   * according to the configured rule.
+   *
+   * @param {Array<CioAddress>} addresses The addresses with the same label.
+   * @returns {CioAddress} The primary address.
+   * @memberof MappingUtil
+   */
+  selectPrimaryAddress(addresses: Array<CioAddress>): CioAddress {
+    switch (this.leadAddressPrimary) {
+      case "last":
+        return _.last(addresses);
+      case "most_complete":
+        // The first address wins if several are equally complete
+        return _.maxBy(addresses, address => {
+          return _.size(
+            _.omitBy(_.omit(address, "label"), v => _.isNil(v) || v === "")
+          );
+        });
+      default:
+        return _.first(addresses);
+    }
+  }
+
+  /**
+   * Indicates whether the addresses of leads are fetched into
+   * indexed address attributes.
+   *
+   * @returns {boolean} True if the addresses are mapped inbound; otherwise false.
+   * @memberof MappingUtil
+   */
+  isAddressesFetchConfigured(): boolean {
+    return _.includes(
+      this.attributeMappings.lead_attributes_inbound || [],
+      "addresses"
+    );
+  }
+
+  /**
+   * Counts the addresses of a lead per label.
+   *
+   * @static
+   * @param {CioLeadRead} lead The close.io lead.
+   * @returns {Object} The number of addresses keyed by label.
+   * @memberof MappingUtil
+   */
+  static getAddressCounts(lead: CioLeadRead): { [string]: number } {
+    return _.countBy(
+      _.get(lead, "addresses", []),
+      addressData => _.get(addressData, "label") || "office"
+    );
+  }
+
+  /**
+   * Maps the address attributes which have been fetched for a lead before
+   * to null values, so addresses which have been removed in close.io
+   * get cleared. Attributes of the current addresses are expected to be
+   * assigned over the result.
+   *
+   * @param {Object} previousCounts The number of addresses per label fetched before.
+   * @param {CioLeadRead} lead The close.io lead.
+   * @returns {THullAccountAttributes} The attributes to clear.
+   * @memberof MappingUtil
+   */
+  mapRemovedAddressesToHullAccountAttributes(
+    previousCounts: { [string]: number },
+    lead: CioLeadRead
+  ): THullAccountAttributes {
+    const hullAttrs = {};
+    if (!this.isAddressesFetchConfigured() || !_.has(lead, "addresses")) {
+      return hullAttrs;
+    }
+
+    _.forIn(previousCounts, (previousCount, thisLabel) => {
+      _.range(previousCount).forEach(index => {
+        const attribPrefix =
+          index === 0
+            ? `closeio/address_${thisLabel}`
+            : `closeio/address_${thisLabel}_${index + 1}`;
+        _.without(ADDRESS_FIELDS, "label").forEach(k => {
+          hullAttrs[`${attribPrefix}_${k}`] = { value: null, operation: "set" };
+        });
+      });
+      hullAttrs[`closeio/address_${thisLabel}_count`] = {
+        value: null,
+        operation: "set"
+      };
+    });
+    return hullAttrs;
+  }
+
+  /**
+   * Converts the Hull value to the type of the close.io custom field
+   * of the mapping. Values of other fields are returned as they are.
+   * If the value cannot be converted, the reason is added to the skipped fields.
+   *
+   * @param {CioOutboundMapping} mapping The outbound mapping.
+   * @param {*} hullAttribValue The value of the Hull attribute.
+   * @param {Array<CioLeadCustomField>} customFields The custom fields of the object type.
+   * @param {Array<Object>} skippedFields The list to add the skip reason to.
+   * @returns {*} The converted value or undefined if it cannot be converted.
+   * @memberof MappingUtil
+   */
+  mapCustomFieldValue(
+    mapping: CioOutboundMapping,
+    hullAttribValue: any,
+    customFields: Array<CioLeadCustomField>,
+    skippedFields: Array<Object> = []
+  ): any {
+    const customField = _.find(customFields, c => {
+      return `custom.${c.id}` === mapping.closeio_field_name;
+    });
+    if (customField === undefined) {
+      return hullAttribValue;
+    }
+
+    const value = MappingUtil.coerceCustomFieldValue(
+      customField,
+      hullAttribValue
+    );
+    if (value === undefined) {
+      skippedFields.push(
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          mapping.hull_field_name,
+          customField,
+          hullAttribValue
+        )
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Converts a value to the type of a close.io custom field.
+   * Arrays are only accepted by fields which accept multiple values,
+   * with the exception of arrays with a single value.
+   *
+   * @static
+   * @param {CioLeadCustomField} customField The custom field.
+   * @param {*} value The value to convert.
+   * @returns {*} The converted value or undefined if it cannot be converted.
+   * @memberof MappingUtil
+   */
+  static coerceCustomFieldValue(
+    customField: CioLeadCustomField,
+    value: any
+  ): any {
+    const multiple = customField.accepts_multiple_values === true;
+    const values = _.isArray(value) ? value : [value];
+    if (!multiple && values.length !== 1) {
+      return undefined;
+    }
+
+    const coercedValues = _.map(values, v => {
+      if (_.isNil(v) || _.isObject(v)) {
+        return undefined;
+      }
+
+      switch (customField.type) {
+        case "text":
+        case "hidden":
+          return _.toString(v);
+        case "number": {
+          if (typeof v === "boolean" || _.trim(_.toString(v)) === "") {
+            return undefined;
+          }
+          const number = _.toNumber(v);
+          return _.isFinite(number) ? number : undefined;
+        }
+        case "date":
+        case "datetime": {
+          const date =
+            typeof v === "number"
+              ? moment.utc(v)
+              : moment.utc(_.toString(v), moment.ISO_8601, true);
+          if (!date.isValid()) {
+            return undefined;
+          }
+          return customField.type === "date"
+            ? date.format("YYYY-MM-DD")
+            : date.toISOString();
+        }
+        case "choices":
+          // Choices are matched regardless of their case
+          return _.find(customField.choices, choice => {
+            return _.toLower(choice) === _.toLower(_.toString(v));
+          });
+        default:
+          return v;
+      }
+    });
+
+    if (_.some(coercedValues, _.isUndefined)) {
+      return undefined;
+    }
+    return multiple ? coercedValues : coercedValues[0];
+  }
+
+  /**
+   * Finds the contact which has the email address of the Hull user,
+   * the search of close.io is a fuzzy one.
+   *
+   * @param {THullUser} hullUser The Hull user.
+   * @param {Array<CioContactRead>} contacts The contacts returned by the search.
+   * @returns {(CioContactRead | void)} The matching contact or undefined.
+   * @memberof MappingUtil
+   */
+  findMatchingContact(
+    hullUser: THullUser,
+    contacts: Array<CioContactRead>
+  ): CioContactRead | void {
+    const email = _.toLower(_.get(hullUser, "email"));
+    return _.find(contacts, contact => {
+      return _.some(_.get(contact, "emails", []), e => {
+        return _.toLower(e.email) === email;
+      });
+    });
+  }
+
   mapContactToHullUserIdent(contact: CioContactRead): THullUserIdent {
     const ident = {};
     // We cannot say for sure which email address is the proper one,
@@ -181,21 +841,42 @@ class MappingUtil {
     return leadToImport;
   }
 
+  /**
+   * Maps a contact of the full leads export to an object for the Hull import
+   * and links it to the account of its lead by external_id or domain.
+   * Contacts without email are identified by their close.io id.
+   *
+   * @param {Object} leadToImport The import object of the lead of the contact.
+   * @param {CioContactRead} contact The close.io contact.
+   * @returns {(Object | null)} The import object or null if it cannot be linked to an account.
+   * @memberof MappingUtil
+   */
   mapContactToHullUserImportObject(
     leadToImport: Object,
     contact: CioContactRead
   ): Object | null {
     const contactIdent = this.mapContactToHullUserIdent(contact);
     const contactAttributes = this.mapContactToHullUserAttributes(contact);
+    const accountDomain = _.get(leadToImport, "traits.domain");
 
-    if (!contactIdent.email || !leadToImport.external_id) {
+    if (!leadToImport.accountId && !accountDomain) {
       return null;
     }
 
     const contactToImport = {};
     contactToImport.traits = contactAttributes;
-    contactToImport.accountId = leadToImport.external_id;
-    contactToImport.traits.email = contactIdent.email;
+    // Always identify by the contact id like the incremental sync does,
+    // so a later change of the email doesn't create another user
+    contactToImport.anonymous_id = contactIdent.anonymous_id;
+    if (contactIdent.email) {
+      contactToImport.traits.email = contactIdent.email;
+    }
+
+    if (leadToImport.accountId) {
+      contactToImport.accountId = leadToImport.accountId;
+    } else {
+      contactToImport.account = { domain: accountDomain };
+    }
 
     return contactToImport;
   }
@@ -239,12 +920,41 @@ class MappingUtil {
       operation: "set"
     };
 
+    if (!_.isEmpty(this.leadOwnerField)) {
+      // Some responses, e.g. exports, only contain custom fields by name
+      const ownerField = _.find(this.leadCustomFields, c => {
+        return `custom.${c.id}` === this.leadOwnerField;
+      });
+      const ownerId = _.get(
+        lead,
+        [this.leadOwnerField],
+        _.get(lead, ["custom", _.get(ownerField, "name", "")], null)
+      );
+      const owner = _.find(this.users, { id: ownerId });
+      hObject["closeio/owner_id"] = { value: ownerId, operation: "set" };
+      hObject["closeio/owner_email"] = {
+        value: _.get(owner, "email", null),
+        operation: "set"
+      };
+      hObject["closeio/owner_name"] = {
+        value:
+          owner === undefined
+            ? null
+            : _.trim(`${owner.first_name || ""} ${owner.last_name || ""}`),
+        operation: "set"
+      };
+    }
+
     return hObject;
   }
 
   mapContactToHullUserAttributes(contact: CioContactRead): THullUserAttributes {
     const mapping = this.attributeMappings.contact_attributes_inbound || [];
-    const hObject: THullUserAttributes = this.applyMapping(mapping, contact);
+    const hObject: THullUserAttributes = this.applyMapping(
+      mapping,
+      MappingUtil.addCustomFieldIds(contact, this.contactCustomFields),
+      this.contactCustomFields
+    );
 
     // Ensure that we always set the id from close.io
     if (_.has(contact, "id")) {
@@ -279,9 +989,97 @@ class MappingUtil {
     return hObject;
   }
 
+  /**
+   * Maps a close.io activity to a Hull event.
+   * The id of the activity is used as `event_id`, so fetching
+   * the same activity twice doesn't create duplicate events.
+   *
+   * @param {CioActivityRead} activity The close.io activity.
+   * @returns {HullTrackEvent | null} The event to track or `null` if the activity type is not supported.
+   * @memberof MappingUtil
+   */
+  mapActivityToHullEvent(activity: CioActivityRead): HullTrackEvent | null {
+    const typeDef = _.find(ACTIVITY_TYPEDEFS, { id: activity._type });
+    if (typeDef === undefined) {
+      return null;
+    }
+
+    const properties = _.omitBy(
+      _.pick(
+        activity,
+        _.concat(
+          [
+            "direction",
+            "duration",
+            "user_id",
+            "user_name",
+            "lead_id",
+            "contact_id"
+          ],
+          typeDef.properties
+        )
+      ),
+      _.isNil
+    );
+
+    return {
+      event: typeDef.event,
+      properties,
+      context: {
+        event_id: `closeio:${activity.id}`,
+        created_at: activity.date_created,
+        source: "closeio",
+        type: "activity"
+      }
+    };
+  }
+
+  /**
+   * Maps the current status of a close.io opportunity to a Hull event.
+   * The status is part of the `event_id`, so every status
+   * of an opportunity results in exactly one event.
+   *
+   * @param {CioLeadOpportunityRead} opportunity The close.io opportunity.
+   * @returns {HullTrackEvent} The event to track.
+   * @memberof MappingUtil
+   */
+  mapOpportunityToHullEvent(
+    opportunity: CioLeadOpportunityRead
+  ): HullTrackEvent {
+    const properties = _.omitBy(
+      {
+        opportunity_id: opportunity.id,
+        status_id: opportunity.status_id,
+        status_label: opportunity.status_label,
+        status_type: opportunity.status_type,
+        value: _.isNil(opportunity.value) ? null : opportunity.value / 100,
+        value_currency: opportunity.value_currency,
+        value_period: opportunity.value_period,
+        confidence: opportunity.confidence,
+        user_id: opportunity.user_id,
+        user_name: opportunity.user_name,
+        lead_id: opportunity.lead_id,
+        contact_id: opportunity.contact_id
+      },
+      _.isNil
+    );
+
+    return {
+      event: "Close.io Opportunity Status Changed",
+      properties,
+      context: {
+        event_id: `closeio:${opportunity.id}:${opportunity.status_id}`,
+        created_at: opportunity.date_updated,
+        source: "closeio",
+        type: "opportunity"
+      }
+    };
+  }
+
   applyMapping(
     mapping: Array<string>,
-    serviceObject: CioLeadRead | CioContactRead
+    serviceObject: CioLeadRead | CioContactRead,
+    customFields: Array<CioLeadCustomField> = this.leadCustomFields
   ): THullAccountAttributes | THullUserAttributes {
     return mapping.reduce(
       (hullAttrs: THullAccountAttributes | THullUserAttributes, m: string) => {
@@ -339,39 +1137,103 @@ class MappingUtil {
             break;
           case "addresses":
             if (_.has(serviceObject, m)) {
-              const addresses = _.get(serviceObject, m, []);
-              const processedLabels = [];
-              // Loop through the addresses putting the pieces into attributes
-              _.forEach(addresses, addressData => {
-                const thisLabel = _.get(addressData, "label", "office");
-
-                // Do not store more 1 type of address
-                // this is a known issue with the current approach
-                // https://github.com/hull/hull-connectors-issues/issues/78
-                if (processedLabels.includes(thisLabel)) {
-                  return;
-                }
-
-                processedLabels.push(thisLabel);
-
-                const attribPrefix = `closeio/address_${thisLabel}`;
-                _.forIn(addressData, (v, k) => {
-                  if (k !== "label") {
-                    hullAttrs[`${attribPrefix}_${k}`] = {
-                      value: v,
-                      operation: "set"
-                    };
-                  }
+              const addressesByLabel = _.groupBy(
+                _.get(serviceObject, m, []),
+                addressData => _.get(addressData, "label") || "office"
+              );
+              // The primary address of every label is stored without index,
+              // all further addresses with the same label are indexed from 2
+              _.forIn(addressesByLabel, (addresses, thisLabel) => {
+                const primaryAddress = this.selectPrimaryAddress(addresses);
+                const orderedAddresses = _.concat(
+                  [primaryAddress],
+                  _.without(addresses, primaryAddress)
+                );
+                _.forEach(orderedAddresses, (addressData, index) => {
+                  const attribPrefix =
+                    index === 0
+                      ? `closeio/address_${thisLabel}`
+                      : `closeio/address_${thisLabel}_${index + 1}`;
+                  _.forIn(addressData, (v, k) => {
+                    if (k !== "label") {
+                      hullAttrs[`${attribPrefix}_${k}`] = {
+                        value: v,
+                        operation: "set"
+                      };
+                    }
+                  });
                 });
+                hullAttrs[`closeio/address_${thisLabel}_count`] = {
+                  value: addresses.length,
+                  operation: "set"
+                };
               });
             }
             break;
           case "opportunities":
-            // Opportunities are not supported at the moment
+            // Opportunities are aggregated, values are sent by close.io in cents
+            const opportunities = _.get(serviceObject, m, []);
+            const activeOpportunities = _.filter(opportunities, {
+              status_type: "active"
+            });
+            const wonDates = _.compact(
+              _.map(_.filter(opportunities, { status_type: "won" }), "date_won")
+            );
+            hullAttrs["closeio/opportunities_open_count"] = {
+              value: activeOpportunities.length,
+              operation: "set"
+            };
+            hullAttrs["closeio/opportunities_pipeline_value"] = {
+              value:
+                _.sumBy(activeOpportunities, o => _.get(o, "value", 0)) / 100,
+              operation: "set"
+            };
+            hullAttrs["closeio/opportunities_weighted_value"] = {
+              value:
+                _.sumBy(
+                  activeOpportunities,
+                  o => (_.get(o, "value", 0) * _.get(o, "confidence", 0)) / 100
+                ) / 100,
+              operation: "set"
+            };
+            hullAttrs["closeio/opportunities_last_won_at"] = {
+              value: _.isEmpty(wonDates) ? null : _.max(wonDates),
+              operation: "set"
+            };
+            hullAttrs["closeio/opportunities_last_status"] = {
+              value: _.get(
+                _.maxBy(opportunities, "date_created"),
+                "status_label",
+                null
+              ),
+              operation: "set"
+            };
             break;
           default:
-            if (!_.isNil(_.get(serviceObject, m))) {
-              hullAttrs[`closeio/${this.getHumanFieldName(m)}`] = {
+            if (_.startsWith(m, "opportunity_custom.")) {
+              // Custom fields of the first opportunity, like the fields above
+              const opportunity = _.get(serviceObject, "opportunities[0]");
+              const key = m.replace(/^opportunity_/, "");
+              const value = _.get(
+                MappingUtil.addCustomFieldIds(
+                  opportunity || {},
+                  this.opportunityCustomFields
+                ),
+                [key]
+              );
+              if (opportunity && !_.isNil(value)) {
+                const humanName = this.getHumanFieldName(
+                  key,
+                  this.opportunityCustomFields
+                );
+                hullAttrs[`closeio/opportunity_${humanName}`] = {
+                  value,
+                  operation: "set"
+                };
+              }
+            } else if (!_.isNil(_.get(serviceObject, m))) {
+              const humanName = this.getHumanFieldName(m, customFields);
+              hullAttrs[`closeio/${humanName}`] = {
                 value: _.get(serviceObject, m),
                 operation: "set"
               };
@@ -384,36 +1246,359 @@ class MappingUtil {
     );
   }
 
-  mergeContact(contactRead, contactWrite) {
-    _.each(
-      ["phone", "url", "email"],
-      subAttr => {
-        const parentAttr = `${subAttr}s`;
-        contactWrite[parentAttr] = _.unionBy(
-          contactWrite[parentAttr],
-          contactRead[parentAttr],
-          subAttr
+  mergeContact(
+    contactRead: CioContactRead,
+    contactWrite: CioContactWrite
+  ): CioContactWrite {
+    return this.mergeObject("Contact", contactRead, contactWrite);
+  }
+
+  /**
+   * Merges the phones, emails, urls and custom fields with multiple values
+   * to send with the values of the object in close.io according to the
+   * merge strategy of their mapping.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @param {Object} svcRead The object in close.io.
+   * @param {Object} svcWrite The object to send.
+   * @returns {Object} The object to send with the merged values.
+   * @memberof MappingUtil
+   */
+  mergeObject(
+    objType: CioObjectType,
+    svcRead: Object,
+    svcWrite: Object
+  ): Object {
+    const mergedObject = _.cloneDeep(svcWrite);
+    const svcReadWithIds = MappingUtil.addCustomFieldIds(
+      svcRead,
+      this.getCustomFields(objType)
+    );
+
+    // Fields which must not be overwritten are only sent if they are empty
+    _.forEach(this.getOutboundMappings(objType), m => {
+      const key = m.closeio_field_name;
+      if (
+        m.overwrite !== false ||
+        key === "addresses" ||
+        !_.has(svcWrite, [key])
+      ) {
+        return;
+      }
+      const currentValue = _.has(svcReadWithIds, [key])
+        ? svcReadWithIds[key]
+        : _.get(svcReadWithIds, key);
+      if (!MappingUtil.isEmptyValue(currentValue)) {
+        delete mergedObject[key];
+      }
+    });
+
+    _.forEach(["phone", "url", "email"], subAttr => {
+      const parentAttr = `${subAttr}s`;
+      if (!_.has(svcWrite, parentAttr)) {
+        return;
+      }
+
+      let mergedValues = _.cloneDeep(_.get(svcRead, parentAttr, []));
+      const valuesByType = _.groupBy(svcWrite[parentAttr], v => v.type || "");
+      _.forIn(valuesByType, (values, type) => {
+        const strategy = this.getMergeStrategy(
+          objType,
+          type === "" ? parentAttr : `${parentAttr}.${type}`
         );
+        const isSameType = v => type === "" || v.type === type;
+        if (strategy === "set-if-empty" && _.some(mergedValues, isSameType)) {
+          return;
+        }
+        if (strategy === "replace") {
+          mergedValues = _.reject(mergedValues, isSameType);
+        }
+        mergedValues = _.unionBy(mergedValues, values, subAttr);
+      });
+      mergedObject[parentAttr] = mergedValues;
+    });
+
+    _.forEach(this.getCustomFields(objType), customField => {
+      const key = `custom.${customField.id}`;
+      if (
+        customField.accepts_multiple_values !== true ||
+        !_.has(svcWrite, [key])
+      ) {
+        return;
+      }
+
+      const readValues = _.compact(_.castArray(_.get(svcRead, [key], [])));
+      switch (this.getMergeStrategy(objType, key)) {
+        case "append-unique":
+          mergedObject[key] = _.union(readValues, svcWrite[key]);
+          break;
+        case "set-if-empty":
+          if (!_.isEmpty(readValues)) {
+            delete mergedObject[key];
+          }
+          break;
+        default:
       }
+    });
+
+    return mergedObject;
+  }
+
+  /**
+   * Indicates whether the object to send has to be merged with the
+   * object in close.io before it can be updated.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @param {Object} svcWrite The object to send.
+   * @returns {boolean} True if the object has to be merged; otherwise false.
+   * @memberof MappingUtil
+   */
+  requiresMerge(objType: CioObjectType, svcWrite: Object): boolean {
+    return !_.isEmpty(this.getMergeFields(objType, svcWrite));
+  }
+
+  /**
+   * Returns the fields of the object to send which cannot be sent
+   * without merging them with the object in close.io.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @param {Object} svcWrite The object to send.
+   * @returns {Array<string>} The names of the fields.
+   * @memberof MappingUtil
+   */
+  getMergeFields(objType: CioObjectType, svcWrite: Object): Array<string> {
+    const listFields = _.filter(["addresses", "phones", "urls", "emails"], f =>
+      _.has(svcWrite, f)
+    );
+    const protectedFields = _.map(
+      _.filter(
+        this.getOutboundMappings(objType),
+        m => m.overwrite === false && _.has(svcWrite, [m.closeio_field_name])
+      ),
+      "closeio_field_name"
     );
+    const customFields = _.map(
+      _.filter(this.getCustomFields(objType), customField => {
+        const key = `custom.${customField.id}`;
+        return (
+          customField.accepts_multiple_values === true &&
+          _.has(svcWrite, [key]) &&
+          this.getMergeStrategy(objType, key) !== "replace"
+        );
+      }),
+      customField => `custom.${customField.id}`
+    );
+    // The status can only be compared with the current one in close.io
+    const statusFields =
+      objType === "Lead" &&
+      this.leadStatusNoDowngrade &&
+      _.has(svcWrite, "status_id")
+        ? ["status_id"]
+        : [];
+    return _.uniq(
+      _.concat(listFields, protectedFields, customFields, statusFields)
+    );
+  }
 
-    return contactWrite;
+  /**
+   * Returns the merge strategy of the outbound mapping of the field.
+   * Phones, emails and urls add new values by default,
+   * all other fields are replaced.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @param {string} svcAttribName The name of the close.io field.
+   * @returns {CioMergeStrategy} The merge strategy.
+   * @memberof MappingUtil
+   */
+  getMergeStrategy(
+    objType: CioObjectType,
+    svcAttribName: string
+  ): CioMergeStrategy {
+    const mappings = this.getOutboundMappings(objType);
+    if (!this.canOverwrite(objType, svcAttribName)) {
+      return "set-if-empty";
+    }
+    // Address fields share the merge strategy of the first address mapping
+    const mapping =
+      _.find(mappings, { closeio_field_name: svcAttribName }) ||
+      _.find(mappings, m =>
+        _.startsWith(m.closeio_field_name, `${svcAttribName}.`)
+      );
+    const strategy = _.get(mapping, "merge_strategy");
+    if (_.includes(MERGE_STRATEGIES, strategy)) {
+      return strategy;
+    }
+    return _.includes(["phones", "urls", "emails"], svcAttribName.split(".")[0])
+      ? "append-unique"
+      : "replace";
   }
 
   /**
-   * Creates a human readable field name if the field is a custom lead field.
+   * Indicates whether the field may be overwritten if it has
+   * a value in close.io, which is the case unless the overwrite
+   * flag of its outbound mapping is turned off.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @param {string} svcAttribName The name of the close.io field.
+   * @returns {boolean} True if the field may be overwritten; otherwise false.
+   * @memberof MappingUtil
+   */
+  canOverwrite(objType: CioObjectType, svcAttribName: string): boolean {
+    const mapping = _.find(this.getOutboundMappings(objType), {
+      closeio_field_name: svcAttribName
+    });
+    return _.get(mapping, "overwrite") !== false;
+  }
+
+  /**
+   * Returns the outbound mappings of the close.io object type.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @returns {Array<CioOutboundMapping>} The outbound mappings.
+   * @memberof MappingUtil
+   */
+  getOutboundMappings(objType: CioObjectType): Array<CioOutboundMapping> {
+    return _.get(
+      this.attributeMappings,
+      `${objType.toLowerCase()}_attributes_outbound`,
+      []
+    );
+  }
+
+  /**
+   * Indicates whether a value of a close.io field is empty.
+   *
+   * @static
+   * @param {*} value The value of the field.
+   * @returns {boolean} True if the value is empty; otherwise false.
+   * @memberof MappingUtil
+   */
+  static isEmptyValue(value: any): boolean {
+    if (_.isArray(value) || _.isPlainObject(value)) {
+      return _.isEmpty(value);
+    }
+    return _.isNil(value) || _.trim(_.toString(value)) === "";
+  }
+
+  /**
+   * Returns the custom fields of the close.io object type.
+   *
+   * @param {CioObjectType} objType The type of the close.io object.
+   * @returns {Array<CioLeadCustomField>} The custom fields.
+   * @memberof MappingUtil
+   */
+  getCustomFields(objType: CioObjectType): Array<CioLeadCustomField> {
+    return objType === "Contact"
+      ? this.contactCustomFields
+      : this.leadCustomFields;
+  }
+
+  /**
+   * Merges the addresses to send with the addresses of the lead in close.io.
+   * Every address updates the primary address with the same label,
+   * addresses with a new label are added and all other addresses are kept.
+   * A status which would downgrade the status in close.io isn't sent.
+   *
+   * @param {CioLeadRead} leadRead The lead in close.io.
+   * @param {CioLeadWrite} leadWrite The lead to send.
+   * @returns {CioLeadWrite} The lead to send with the merged addresses.
+   * @memberof MappingUtil
+   */
+  mergeLead(leadRead: CioLeadRead, leadWrite: CioLeadWrite): CioLeadWrite {
+    const mergedLead = this.mergeObject("Lead", leadRead, leadWrite);
+    if (
+      this.leadStatusNoDowngrade &&
+      _.has(leadWrite, "status_id") &&
+      this.isLeadStatusDowngrade(leadRead.status_id, leadWrite.status_id)
+    ) {
+      // Keep the status which has been set in close.io
+      delete mergedLead.status_id;
+    }
+    if (!_.has(leadWrite, "addresses")) {
+      return mergedLead;
+    }
+
+    const strategy = this.getMergeStrategy("Lead", "addresses");
+    const mergedAddresses = _.cloneDeep(_.get(leadRead, "addresses", []));
+    const updatedAddresses = [];
+    _.forEach(leadWrite.addresses, address => {
+      if (_.some(mergedAddresses, a => _.isMatch(a, address))) {
+        return;
+      }
+      const sameLabelAddresses = _.filter(
+        mergedAddresses,
+        a =>
+          (_.get(a, "label") || "office") === address.label &&
+          !_.includes(updatedAddresses, a)
+      );
+      if (strategy === "set-if-empty" && !_.isEmpty(sameLabelAddresses)) {
+        return;
+      }
+      if (strategy !== "replace" || _.isEmpty(sameLabelAddresses)) {
+        mergedAddresses.push(address);
+        updatedAddresses.push(address);
+        return;
+      }
+      const primaryAddress = this.selectPrimaryAddress(sameLabelAddresses);
+      _.forIn(address, (value, key) => {
+        if (
+          this.canOverwrite("Lead", `addresses.${key}`) ||
+          MappingUtil.isEmptyValue(primaryAddress[key])
+        ) {
+          primaryAddress[key] = value;
+        }
+      });
+      updatedAddresses.push(primaryAddress);
+    });
+
+    return _.assign(mergedLead, { addresses: mergedAddresses });
+  }
+
+  /**
+   * Adds the values of custom fields which are only keyed by their name
+   * in `custom` as `custom.<id>`, which is how they are mapped.
+   *
+   * @static
+   * @param {Object} serviceObject The close.io contact, lead or opportunity.
+   * @param {Array<CioLeadCustomField>} customFields The custom fields of the object type.
+   * @returns {Object} A copy of the object with the added keys.
+   * @memberof MappingUtil
+   */
+  static addCustomFieldIds(
+    serviceObject: Object,
+    customFields: Array<CioLeadCustomField>
+  ): Object {
+    const result = _.clone(serviceObject);
+    _.forEach(customFields, customField => {
+      const key = `custom.${customField.id}`;
+      if (
+        !_.has(result, [key]) &&
+        _.has(result, ["custom", customField.name])
+      ) {
+        result[key] = result.custom[customField.name];
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Creates a human readable field name if the field is a custom field.
    *
    * @param {string} field The technical name of the field.
+   * @param {Array<CioLeadCustomField>} [customFields] The custom fields of the object type, by default of leads.
    * @returns {string} A human-readable field name.
    * @memberof AttributesMapper
    */
-  getHumanFieldName(field: string): string {
-    const fieldIds = _.map(this.leadCustomFields, c => {
+  getHumanFieldName(
+    field: string,
+    customFields: Array<CioLeadCustomField> = this.leadCustomFields
+  ): string {
+    const fieldIds = _.map(customFields, c => {
       return `custom.${c.id}`;
     });
     let humanName = field;
     if (_.includes(fieldIds, field)) {
-      const customField = _.find(this.leadCustomFields, c => {
+      const customField = _.find(customFields, c => {
         return `custom.${c.id}` === field;
       });
       humanName = _.get(customField, "name");
@@ -0,0 +1,43 @@
+/* @flow */
+import type { CioOpportunityFieldDefinition } from "../types";
+
+const OPPORTUNITY_FIELDDEFS: Array<CioOpportunityFieldDefinition> = [
+  {
+    id: "value",
+    label: "Value",
+    in: false,
+    out: true
+  },
+  {
+    id: "value_period",
+    label: "Value Period (one_time, monthly or annual)",
+    in: false,
+    out: true
+  },
+  {
+    id: "confidence",
+    label: "Confidence",
+    in: false,
+    out: true
+  },
+  {
+    id: "status",
+    label: "Status (Label)",
+    in: false,
+    out: true
+  },
+  {
+    id: "user_id",
+    label: "Owner (User ID)",
+    in: false,
+    out: true
+  },
+  {
+    id: "note",
+    label: "Note",
+    in: false,
+    out: true
+  }
+];
+
+module.exports = OPPORTUNITY_FIELDDEFS;
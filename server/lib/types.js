@@ -87,7 +87,20 @@ export type HullEventContext = {
   },
   os?: {},
   useragent?: string,
-  ip?: string | number
+  ip?: string | number,
+  event_id?: string,
+  created_at?: string,
+  source?: string,
+  type?: string
+};
+
+/**
+ * This is an event with all the information needed to track it
+ */
+export type HullTrackEvent = {
+  event: HullEventName,
+  properties: HullEventProperties,
+  context: HullEventContext
 };
 
 export type HullClient = {
@@ -141,29 +154,94 @@ export type CioCustomFieldType =
   | Array<string>
   | Array<number>;
 
+export type CioMergeStrategy = "replace" | "append-unique" | "set-if-empty";
+
 export type CioOutboundMapping = {
   hull_field_name: string,
-  closeio_field_name: string
+  closeio_field_name: string,
+  merge_strategy?: CioMergeStrategy,
+  overwrite?: boolean
+};
+
+export type CioActivityType =
+  | "Call"
+  | "Email"
+  | "Meeting"
+  | "Note"
+  | "LeadStatusChange";
+
+export type CioLeadsCursor = {
+  updated_at: string, // the update date of the last fetched leads in the format of search queries
+  ids: Array<string>, // the ids of the already fetched leads updated at this date
+  skip: number
+};
+
+export type CioLeadsExportStatus =
+  | "requested" // the export has been requested from close.io
+  | "processing" // close.io is processing the export
+  | "downloading"
+  | "importing"
+  | "done"
+  | "failed";
+
+export type CioLeadsExportState = {
+  id: string,
+  status: CioLeadsExportStatus,
+  requested_at: string,
+  status_changed_at: string,
+  attempts: number,
+  error: string | null,
+  results: Object | null, // the import jobs created for accounts and users
+  heartbeat_at?: string | null // the last progress of the download and import
+};
+
+export type CioLeadStatusRule = {
+  hull_segment_id?: string,
+  hull_field_name?: string,
+  hull_field_value?: string,
+  closeio_status_id: string
 };
 
+export type CioAddressPrimaryRule = "first" | "last" | "most_complete";
+
 export type CioConnectorSettings = {
   api_key: string,
+  synchronized_segments: Array<string>,
   synchronized_account_segments: Array<string>,
   lead_status: string,
+  lead_status_rules?: Array<CioLeadStatusRule>,
+  lead_status_no_downgrade?: boolean,
+  lead_address_primary?: CioAddressPrimaryRule,
+  lead_owner_hull?: string,
+  lead_owner_field?: string,
+  lead_owner_round_robin?: Array<string>,
   lead_attributes_outbound: Array<CioOutboundMapping>,
   lead_attributes_inbound: Array<string>,
   contact_attributes_outbound: Array<CioOutboundMapping>,
   contact_attributes_inbound: Array<string>,
   lead_identifier_hull: string,
   lead_identifier_service: string,
-  last_sync_at: string
+  synchronized_events: Array<string>,
+  events_note_template: string,
+  synchronized_activities: Array<CioActivityType>,
+  synchronized_opportunity_segments: Array<string>,
+  opportunity_attributes_outbound: Array<CioOutboundMapping>,
+  last_sync_at: string,
+  last_contacts_sync_at?: string,
+  leads_fetch_checkpoint?: CioLeadsCursor | null,
+  last_activities_sync_at: string,
+  leads_export?: CioLeadsExportState | null,
+  pending_export_id?: string | null,
+  webhook_id?: string | null,
+  webhook_signature_key?: string | null
 };
 
 export type CioAttributesMapping = {
   lead_attributes_outbound: Array<CioOutboundMapping>,
   lead_attributes_inbound: Array<string>,
   contact_attributes_outbound: Array<CioOutboundMapping>,
-  contact_attributes_inbound: Array<string>
+  contact_attributes_inbound: Array<string>,
+  opportunity_attributes_outbound?: Array<CioOutboundMapping>
 };
 
 export type CioAddress = {
@@ -193,6 +271,7 @@ export type CioLeadWrite = {
   status_id?: string,
   name: string,
   url: string,
+  addresses?: Array<CioAddress>,
   [string]: CioCustomFieldType
 };
 
@@ -248,6 +327,17 @@ export type CioLeadRead = {
   [string]: CioCustomFieldType
 };
 
+export type CioOpportunityWrite = {
+  id?: string,
+  lead_id?: string,
+  status_id?: string,
+  value?: number,
+  value_period?: string,
+  confidence?: number,
+  user_id?: string,
+  note?: string
+};
+
 export type CioContactWrite = {
   id?: string,
   lead_id: string,
@@ -268,6 +358,50 @@ export type CioContactRead = {
   date_updated?: Date,
 };
 
+export type CioNoteWrite = {
+  lead_id: string,
+  note: string
+};
+
+export type CioNoteRead = {
+  id: string,
+  lead_id: string,
+  note: string
+};
+
+export type CioActivityRead = {
+  id: string,
+  _type: CioActivityType,
+  lead_id: string,
+  contact_id?: string | null,
+  user_id?: string | null,
+  user_name?: string | null,
+  direction?: string,
+  duration?: number,
+  date_created: string,
+  date_updated: string,
+  [string]: any
+};
+
+export type CioWebhookEvent = {
+  id: string,
+  object_type: string,
+  object_id: string,
+  lead_id?: string | null,
+  action: string,
+  data: Object,
+  previous_data?: Object,
+  date_created: string
+};
+
+export type CioWebhookSubscription = {
+  id: string,
+  url: string,
+  events: Array<{ object_type: string, action: string }>,
+  signature_key: string,
+  status?: string
+};
+
 export type CioEmailRead = {
   date_sent: Date | null,
   user_id: string,
@@ -287,20 +421,30 @@ export type UserUpdateEnvelope = {
   cioContactWrite: CioContactWrite, // the contact object we want to use to write to API
   cioContactRead: CioContactRead | null, // the contact object we have received from the API
   skipReason: string | null,
-  error: string | null
+  skippedFields?: Array<Object>, // the mapped fields which cannot be sent due to their value
+  error: string | null,
+  errorStatus?: number // the HTTP status of the failed API call
 };
 
 export type AccountUpdateEnvelope = {
   message: HullAccountUpdateMessage,
   hullAccount: HullAccount, // an object taken from message, to make it work the same as for UserUpdateEnvelope
   cioLeadWrite: CioLeadWrite,
+  cioLeadWriteHash?: string, // the hash of the mapped lead if it has been merged with the lead in close.io
   cioLeadRead: CioLeadRead | null,
+  cioOpportunityWrite: CioOpportunityWrite, // the opportunity to write to the API after the lead has been synchronized
+  cioOpportunityRead: CioLeadOpportunityRead | null,
   skipReason: string | null,
-  error: string | null
+  skippedFields?: Array<Object>, // the mapped fields which cannot be sent due to their value
+  error: string | null,
+  errorStatus?: number // the HTTP status of the failed API call
 };
 
 export type FilterUtilConfiguration = {
+  synchronizedSegments: Array<string>,
   synchronizedAccountSegments: Array<string>,
+  synchronizedEvents: Array<string>,
+  synchronizedOpportunitySegments: Array<string>,
   leadIdentifierHull: string,
   cache: Object
 };
@@ -321,7 +465,15 @@ export type CioLeadCustomField = {
   created_by?: string,
   updated_by?: string,
   organization_id?: string,
-  choices?: Array<string>
+  choices?: Array<string>,
+  accepts_multiple_values?: boolean
+};
+
+export type CioUser = {
+  id: string,
+  email: string,
+  first_name: string,
+  last_name: string
 };
 
 export type CioLeadStatus = {
@@ -330,6 +482,13 @@ export type CioLeadStatus = {
   label: string
 };
 
+export type CioOpportunityStatus = {
+  organization_id?: string,
+  id: string,
+  label: string,
+  type: string
+};
+
 export type CioListResponse<T> = {
   has_more: boolean,
   data: Array<T>,
@@ -343,12 +502,32 @@ export type CioContactFieldDefinition = {
   out: boolean
 };
 
+export type CioActivityTypeDefinition = {
+  id: CioActivityType,
+  label: string,
+  objectType: string,
+  event: string,
+  properties: Array<string>
+};
+
+export type CioOpportunityFieldDefinition = CioContactFieldDefinition;
+
 export type CioMappingUtilSettings = {
   attributeMappings: CioAttributesMapping,
   leadStatuses: Array<CioLeadStatus>,
   leadCustomFields: Array<CioLeadCustomField>,
+  contactCustomFields?: Array<CioLeadCustomField>,
+  opportunityCustomFields?: Array<CioLeadCustomField>,
+  opportunityStatuses: Array<CioOpportunityStatus>,
   leadIdentifierHull: string,
-  leadIdentifierService: string
+  leadIdentifierService: string,
+  eventsNoteTemplate: string,
+  leadStatusRules?: Array<CioLeadStatusRule>,
+  leadStatusNoDowngrade?: boolean,
+  users?: Array<CioUser>,
+  leadOwnerHull?: string,
+  leadOwnerField?: string,
+  leadAddressPrimary?: CioAddressPrimaryRule
 };
 
 export type SuperAgentResponse<BodyType> = {
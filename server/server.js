@@ -2,6 +2,7 @@
 import type { $Application } from "express";
 
 const cors = require("cors");
+const bodyParser = require("body-parser");
 const { notificationHandler, batchHandler } = require("hull/lib/handlers");
 const { credsFromQueryMiddlewares } = require("hull/lib/utils");
 
@@ -14,6 +15,24 @@ function server(app: $Application): $Application {
     ...credsFromQueryMiddlewares(),
     actions.fetch
   );
+  app.post(
+    "/fetch-activities",
+    ...credsFromQueryMiddlewares(),
+    actions.fetchActivities
+  );
+
+  app.post(
+    "/webhook",
+    // keep the raw body to verify the signature of close.io
+    bodyParser.json({
+      limit: "10mb",
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString("utf8");
+      }
+    }),
+    ...credsFromQueryMiddlewares(),
+    actions.webhook
+  );
 
   app.post(
     "/handle-leads-export",
@@ -21,6 +40,9 @@ function server(app: $Application): $Application {
     actions.handleLeadsExport
   );
 
+  // parts of the leads export stored on the local disk, authorized by a signed url
+  app.get("/exports/*", actions.serveExport);
+
   app.post(
     "/smart-notifier",
     notificationHandler({
@@ -60,6 +82,20 @@ function server(app: $Application): $Application {
     actions.fieldsStatus
   );
 
+  app.get(
+    "/fields-lead-owner",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsLeadOwner
+  );
+
+  app.get(
+    "/users",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsUsers
+  );
+
   app.get("/admin", ...credsFromQueryMiddlewares(), actions.adminHandler);
 
   app.get(
@@ -74,6 +110,12 @@ function server(app: $Application): $Application {
     ...credsFromQueryMiddlewares(),
     actions.fieldsContactInbound
   );
+  app.get(
+    "/fields-opportunity-out",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsOpportunityOutbound
+  );
   app.get(
     "/fields-lead-in",
     cors(),
@@ -92,6 +134,24 @@ function server(app: $Application): $Application {
     ...credsFromQueryMiddlewares(),
     actions.fieldsAccountIdent
   );
+  app.get(
+    "/fields-address-primary",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsAddressPrimary
+  );
+  app.get(
+    "/fields-merge-strategy",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsMergeStrategy
+  );
+  app.get(
+    "/fields-activity-types",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.fieldsActivityTypes
+  );
 
   app.post(
     "/trigger-leads-export",
@@ -100,6 +160,44 @@ function server(app: $Application): $Application {
     actions.triggerLeadsExport
   );
 
+  app.get(
+    "/leads-export-status",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.leadsExportStatus
+  );
+
+  app.post(
+    "/register-webhook",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.registerWebhook
+  );
+
+  app.post(
+    "/unregister-webhook",
+    cors(),
+    ...credsFromQueryMiddlewares(),
+    actions.unregisterWebhook
+  );
+
+  app.post(
+    "/rewind-watermark",
+    cors(),
+    bodyParser.json(),
+    ...credsFromQueryMiddlewares(),
+    actions.rewindSyncWatermark
+  );
+
+  // dry run of the outgoing sync, nothing is written to close.io
+  app.post(
+    "/preview",
+    cors(),
+    bodyParser.json(),
+    ...credsFromQueryMiddlewares(),
+    actions.preview
+  );
+
   app.all("/status", ...credsFromQueryMiddlewares(), actions.statusCheck);
 
   return app;
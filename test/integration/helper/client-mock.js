@@ -20,7 +20,7 @@ class ClientMock {
     this.account = jest.fn(() => this);
     this.utils = {
       settings: {
-        update: () => Promise.resolve({})
+        update: jest.fn(() => Promise.resolve({}))
       }
     }
   }
@@ -0,0 +1,81 @@
+/* global describe, test, expect */
+const http = require("http");
+const express = require("express");
+
+const { ContextMock } = require("./helper/connector-mock");
+
+let mockCtx;
+// Authenticates every request with the mocked context
+jest.mock("hull/lib/utils", () =>
+  Object.assign({}, require.requireActual("hull/lib/utils"), {
+    credsFromQueryMiddlewares: () => [
+      (req, res, next) => {
+        req.hull = mockCtx;
+        next();
+      }
+    ]
+  })
+);
+
+const server = require("../../server/server");
+
+const postJson = (port, path, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port,
+        path,
+        method: "POST",
+        headers: { "Content-Type": "application/json" }
+      },
+      res => {
+        let data = "";
+        res.on("data", chunk => {
+          data += chunk;
+        });
+        res.on("end", () =>
+          resolve({ status: res.statusCode, body: JSON.parse(data) })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(JSON.stringify(body));
+  });
+
+describe("/rewind-watermark", () => {
+  let listener;
+
+  beforeEach(done => {
+    mockCtx = new ContextMock();
+    mockCtx.connector.private_settings = { last_sync_at: 1531764830 };
+    listener = server(express()).listen(0, done);
+  });
+
+  afterEach(done => {
+    listener.close(done);
+  });
+
+  test("should rewind the watermark from the JSON body", () => {
+    return postJson(listener.address().port, "/rewind-watermark", {
+      type: "leads",
+      date: "2018-07-01T00:00:00Z"
+    }).then(response => {
+      expect(response.status).toEqual(200);
+      expect(response.body.ok).toBe(true);
+      expect(mockCtx.client.utils.settings.update).toHaveBeenCalledWith({
+        last_sync_at: 1530403200,
+        leads_fetch_checkpoint: null
+      });
+    });
+  });
+
+  test("should reject an unknown object type", () => {
+    return postJson(listener.address().port, "/rewind-watermark", {
+      type: "tasks",
+      date: "2018-07-01T00:00:00Z"
+    }).then(response => {
+      expect(response.status).toEqual(400);
+      expect(mockCtx.client.utils.settings.update).not.toHaveBeenCalled();
+    });
+  });
+});
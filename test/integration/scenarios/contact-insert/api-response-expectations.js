@@ -0,0 +1,30 @@
+const payload = require("../../fixtures/api-responses/contact-post.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+
+module.exports = nock => {
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .get("/api/v1/contact/")
+    .query({
+      query: "email:\"sven@hull.io\"",
+      _limit: 10,
+      _skip: 0
+    })
+    .reply(200, { has_more: false, total_results: 0, data: [] });
+
+  nock("https://app.close.io/")
+    .post(/\/api\/v1\/contact\//, {
+      name: "Sven Maschek",
+      emails: [{ type: "office", email: "sven@hull.io" }],
+      lead_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+    })
+    .reply(200, payload);
+};
@@ -0,0 +1,47 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/user-update.json")
+);
+const apiResponse = _.cloneDeep(
+  require("../../fixtures/api-responses/contact-post.json")
+);
+
+module.exports = ctxMock => {
+  const userData = _.get(notifierPayload, "messages[0].user");
+
+  expect(ctxMock.client.asUser.mock.calls[0]).toEqual([userData]);
+
+  const userTraits = {
+    "closeio/id": { operation: "set", value: _.get(apiResponse, "id") },
+    "closeio/name": { operation: "set", value: _.get(apiResponse, "name") },
+    name: { operation: "setIfNull", value: _.get(apiResponse, "name") },
+    "closeio/title": { operation: "set", value: _.get(apiResponse, "title") },
+    "closeio/phone_mobile": { operation: "set", value: "9045551234" },
+    "closeio/email_office": { operation: "set", value: "john@example.com" },
+    "closeio/lead_id": {
+      operation: "set",
+      value: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+    },
+    "closeio/created_at": {
+      operation: "setIfNull",
+      value: "2013-03-07T23:23:21.495000+00:00"
+    },
+    "closeio/updated_at": {
+      operation: "set",
+      value: "2013-03-07T23:23:21.495000+00:00"
+    }
+  };
+
+  expect(ctxMock.client.traits.mock.calls[0][0]).toEqual(userTraits);
+
+  expect(ctxMock.cache.set.mock.calls[0]).toEqual([
+    _.get(userData, "id"),
+    _.get(apiResponse, "id")
+  ]);
+
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+  expect(ctxMock.client.logger.info.mock.calls).toHaveLength(1);
+  expect(ctxMock.client.logger.info.mock.calls[0][0]).toEqual(
+    "outgoing.user.success"
+  );
+};
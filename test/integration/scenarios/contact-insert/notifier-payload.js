@@ -0,0 +1,31 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/user-update.json")
+);
+
+module.exports = () => {
+  const accountSegmentId = _.get(
+    notifierPayload,
+    "messages[0].account_segments[0].id"
+  );
+  _.set(
+    notifierPayload,
+    "messages[0].account['closeio/id']",
+    "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+  );
+  const userSegmentId = _.get(notifierPayload, "messages[0].segments[0].id");
+  _.set(notifierPayload, "connector.private_settings.synchronized_segments", [
+    userSegmentId
+  ]);
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_account_segments",
+    [accountSegmentId]
+  );
+  _.set(notifierPayload, "connector.private_settings.contact_attributes_outbound", [
+    { hull_field_name: "name", closeio_field_name: "name" },
+    { hull_field_name: "email", closeio_field_name: "emails.office" }
+  ]);
+
+  return notifierPayload;
+};
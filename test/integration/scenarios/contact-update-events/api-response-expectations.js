@@ -0,0 +1,38 @@
+const payload = require("../../fixtures/api-responses/contact-post.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+
+module.exports = nock => {
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .get("/api/v1/contact/cont_sNIdBgngvbdTTEN1mspKgUqKAWfbul4IITvnWoRw1T7")
+    .reply(200, payload);
+
+  nock("https://app.close.io")
+    .put("/api/v1/contact/cont_sNIdBgngvbdTTEN1mspKgUqKAWfbul4IITvnWoRw1T7/")
+    .reply(200, payload);
+
+  nock("https://app.close.io")
+    .get("/api/v1/activity/note/")
+    .query({
+      lead_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, { data: [], has_more: false });
+
+  nock("https://app.close.io")
+    .post("/api/v1/activity/note/", {
+      lead_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty",
+      note:
+        "Visited Pricing | Hull on 2018-03-30 14:38:02 UTC\n\n[Hull event 4cf3e7be-2d7c-4fb7-b032-bc33aa49e246]"
+    })
+    .reply(200, { id: "acti_1234", _type: "Note" });
+};
@@ -0,0 +1,14 @@
+module.exports = ctxMock => {
+  expect(ctxMock.cache.set.mock.calls).toEqual([
+    ["note_4cf3e7be-2d7c-4fb7-b032-bc33aa49e246", "acti_1234"]
+  ]);
+
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+  expect(ctxMock.client.logger.info.mock.calls).toHaveLength(2);
+  expect(ctxMock.client.logger.info.mock.calls[0][0]).toEqual(
+    "outgoing.user.success"
+  );
+  expect(ctxMock.client.logger.info.mock.calls[1][0]).toEqual(
+    "outgoing.event.success"
+  );
+};
@@ -0,0 +1,40 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/user-update.json")
+);
+
+module.exports = () => {
+  const userSegmentId = _.get(notifierPayload, "messages[0].segments[0].id");
+  const accountSegmentId = _.get(
+    notifierPayload,
+    "messages[0].account_segments[0].id"
+  );
+  _.set(
+    notifierPayload,
+    "messages[0].user['traits_closeio/id']",
+    "cont_sNIdBgngvbdTTEN1mspKgUqKAWfbul4IITvnWoRw1T7"
+  );
+  _.set(
+    notifierPayload,
+    "messages[0].account['closeio/id']",
+    "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+  );
+  _.set(notifierPayload, "connector.private_settings.synchronized_segments", [
+    userSegmentId
+  ]);
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_account_segments",
+    [accountSegmentId]
+  );
+  _.set(notifierPayload, "connector.private_settings.synchronized_events", [
+    "page"
+  ]);
+  _.set(
+    notifierPayload,
+    "connector.private_settings.events_note_template",
+    "Visited {{ properties.title }} on {{ created_at }}"
+  );
+
+  return notifierPayload;
+};
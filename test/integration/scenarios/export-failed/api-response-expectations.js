@@ -0,0 +1,5 @@
+module.exports = nock => {
+  nock("https://app.close.io")
+    .get("/api/v1/export/lead/exp_3/")
+    .reply(200, { id: "exp_3", status: "error" });
+};
@@ -0,0 +1,20 @@
+module.exports = ctxMock => {
+  const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+  expect(settingsUpdates).toHaveLength(1);
+  expect(settingsUpdates[0][0]).toMatchObject({
+    leads_export: {
+      id: "exp_3",
+      status: "failed",
+      attempts: 3,
+      error: "The export failed in close.io with status 'error'."
+    },
+    handle_leads_export_interval: "720"
+  });
+  expect(ctxMock.client.logger.error.mock.calls).toContainEqual([
+    "incoming.job.error",
+    {
+      reason: "The export failed in close.io with status 'error'.",
+      export_id: "exp_3"
+    }
+  ]);
+};
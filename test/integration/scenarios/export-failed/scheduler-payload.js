@@ -0,0 +1,17 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  _.set(schedulerPayload, "connector.private_settings.leads_export", {
+    id: "exp_3",
+    status: "requested",
+    requested_at: "2018-07-17T08:00:00.000Z",
+    status_changed_at: "2018-07-17T08:00:00.000Z",
+    attempts: 3,
+    error: null,
+    results: null
+  });
+  return schedulerPayload;
+};
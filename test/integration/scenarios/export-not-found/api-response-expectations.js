@@ -0,0 +1,13 @@
+module.exports = nock => {
+  nock("https://app.close.io")
+    .get("/api/v1/export/lead/exp_4/")
+    .reply(404, { error: "Not Found" });
+
+  nock("https://app.close.io")
+    .post("/api/v1/export/lead/", {
+      format: "json",
+      type: "leads",
+      send_done_email: false
+    })
+    .reply(200, { id: "exp_5", status: "created" });
+};
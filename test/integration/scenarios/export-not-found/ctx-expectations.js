@@ -0,0 +1,21 @@
+module.exports = ctxMock => {
+  const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+  expect(settingsUpdates).toHaveLength(1);
+  expect(settingsUpdates[0][0]).toMatchObject({
+    leads_export: {
+      id: "exp_5",
+      status: "requested",
+      attempts: 2,
+      error: null
+    },
+    handle_leads_export_interval: "5"
+  });
+  expect(ctxMock.client.logger.info.mock.calls).toContainEqual([
+    "incoming.job.progress",
+    {
+      reason:
+        "The status of the export cannot be retrieved: Not Found. Requesting the export again.",
+      export_id: "exp_4"
+    }
+  ]);
+};
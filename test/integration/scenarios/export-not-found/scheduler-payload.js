@@ -0,0 +1,19 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  // The export has just been requested, so it didn't time out yet
+  const requestedAt = new Date().toISOString();
+  _.set(schedulerPayload, "connector.private_settings.leads_export", {
+    id: "exp_4",
+    status: "requested",
+    requested_at: requestedAt,
+    status_changed_at: requestedAt,
+    attempts: 1,
+    error: null,
+    results: null
+  });
+  return schedulerPayload;
+};
@@ -0,0 +1,10 @@
+module.exports = nock => {
+  nock("https://app.close.io")
+    .get("/api/v1/export/lead/exp_legacy/")
+    .reply(200, {
+      id: "exp_legacy",
+      status: "in_progress",
+      n_docs_processed: 120,
+      n_docs: 500
+    });
+};
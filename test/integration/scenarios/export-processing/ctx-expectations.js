@@ -0,0 +1,18 @@
+module.exports = ctxMock => {
+  const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+  expect(settingsUpdates).toHaveLength(1);
+  expect(settingsUpdates[0][0]).toMatchObject({
+    leads_export: {
+      id: "exp_legacy",
+      status: "processing",
+      attempts: 1,
+      error: null
+    },
+    pending_export_id: null,
+    handle_leads_export_interval: "5"
+  });
+  expect(ctxMock.client.logger.info.mock.calls).toContainEqual([
+    "incoming.job.progress",
+    { export_id: "exp_legacy", processed: 120, total: 500 }
+  ]);
+};
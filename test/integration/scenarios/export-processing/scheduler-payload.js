@@ -0,0 +1,14 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  // Exports triggered before the export state existed are continued
+  _.set(
+    schedulerPayload,
+    "connector.private_settings.pending_export_id",
+    "exp_legacy"
+  );
+  return schedulerPayload;
+};
@@ -0,0 +1,18 @@
+module.exports = nock => {
+  nock("https://app.close.io")
+    .get("/api/v1/export/lead/exp_1/")
+    .reply(200, {
+      id: "exp_1",
+      status: "in_progress",
+      n_docs_processed: 0,
+      n_docs: 500
+    });
+
+  nock("https://app.close.io")
+    .post("/api/v1/export/lead/", {
+      format: "json",
+      type: "leads",
+      send_done_email: false
+    })
+    .reply(200, { id: "exp_2", status: "created" });
+};
@@ -0,0 +1,28 @@
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+const payloadActivities = require("../../fixtures/api-responses/list-activities.json");
+const payloadLead = require("../../fixtures/api-responses/lead-put.json");
+
+module.exports = nock => {
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .get("/api/v1/activity/")
+    .query({
+      date_created__gt: "2018-07-17T08:26:29.000Z",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, payloadActivities);
+
+  // The note isn't linked to a contact, so the contacts of its lead are read
+  nock("https://app.close.io")
+    .get(`/api/v1/lead/${payloadLead.id}/`)
+    .reply(200, payloadLead);
+};
@@ -0,0 +1,47 @@
+const payloadActivities = require("../../fixtures/api-responses/list-activities.json");
+const payloadLead = require("../../fixtures/api-responses/lead-put.json");
+
+module.exports = ctxMock => {
+  const callData = payloadActivities.data[0];
+
+  const noteData = payloadActivities.data[1];
+
+  // Emails are not whitelisted, the note isn't linked to a contact
+  // and is tracked on the first contact of its lead
+  expect(ctxMock.client.asUser.mock.calls).toEqual([
+    [{ anonymous_id: `closeio:${callData.contact_id}` }],
+    [{ anonymous_id: `closeio:${payloadLead.contacts[0].id}` }]
+  ]);
+  expect(ctxMock.client.track.mock.calls).toEqual([
+    [
+      "Close.io Call",
+      {
+        direction: "outbound",
+        duration: 184,
+        user_id: "user_1234",
+        user_name: "Bob",
+        lead_id: callData.lead_id,
+        contact_id: callData.contact_id,
+        status: "completed",
+        phone: "+16505551234",
+        disposition: "answered"
+      },
+      {
+        event_id: `closeio:${callData.id}`,
+        created_at: callData.date_created,
+        source: "closeio",
+        type: "activity"
+      }
+    ],
+    [
+      "Close.io Note",
+      expect.objectContaining({ lead_id: noteData.lead_id }),
+      expect.objectContaining({ event_id: `closeio:${noteData.id}` })
+    ]
+  ]);
+
+  const skipLogs = ctxMock.client.logger.info.mock.calls.filter(
+    call => call[0] === "incoming.event.skip"
+  );
+  expect(skipLogs).toHaveLength(0);
+};
@@ -0,0 +1,17 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  _.set(schedulerPayload, "connector.private_settings.synchronized_activities", [
+    "Call",
+    "Note"
+  ]);
+  _.set(
+    schedulerPayload,
+    "connector.private_settings.last_activities_sync_at",
+    1531815989
+  );
+  return schedulerPayload;
+};
@@ -0,0 +1,41 @@
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+const payloadOpportunities = require("../../fixtures/api-responses/list-opportunities.json");
+
+module.exports = nock => {
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .get("/api/v1/lead/")
+    .query({
+      query: "updated >= 2018-07-17T08:26:29 sort:date_updated",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, payloadLeads);
+
+  nock("https://app.close.io")
+    .get("/api/v1/lead/")
+    .query({
+      query: "updated >= 2018-07-16T18:13:50 sort:date_updated",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, { data: [], has_more: false });
+
+  nock("https://app.close.io")
+    .get("/api/v1/opportunity/")
+    .query({
+      lead_id: payloadLeads.data[0].id,
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, payloadOpportunities);
+};
@@ -0,0 +1,56 @@
+const _ = require("lodash");
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+const payloadOpportunities = require("../../fixtures/api-responses/list-opportunities.json");
+
+module.exports = ctxMock => {
+  const leadData = payloadLeads.data[0];
+  const accountTraits = ctxMock.client.traits.mock.calls[0][0];
+
+  expect(
+    _.pickBy(accountTraits, (v, k) => _.startsWith(k, "closeio/opportunit"))
+  ).toEqual({
+    "closeio/opportunities_open_count": { value: 2, operation: "set" },
+    "closeio/opportunities_pipeline_value": { value: 700, operation: "set" },
+    "closeio/opportunities_weighted_value": { value: 300, operation: "set" },
+    "closeio/opportunities_last_won_at": {
+      value: "2018-06-12",
+      operation: "set"
+    },
+    "closeio/opportunities_last_status": { value: "Demo", operation: "set" },
+    // the legacy attribute reflects the most recent opportunity
+    "closeio/opportunity_status_label": { value: "Demo", operation: "set" }
+  });
+
+  // Only the opportunity updated since the last sync is tracked
+  const openOpportunity = _.find(payloadOpportunities.data, {
+    id: "oppo_1OpenWithContact"
+  });
+  expect(ctxMock.client.asUser.mock.calls[0]).toEqual([
+    { anonymous_id: `closeio:${openOpportunity.contact_id}` }
+  ]);
+  expect(ctxMock.client.track.mock.calls).toEqual([
+    [
+      "Close.io Opportunity Status Changed",
+      {
+        opportunity_id: openOpportunity.id,
+        status_id: "stat_active",
+        status_label: "Demo",
+        status_type: "active",
+        value: 500,
+        value_currency: "EUR",
+        value_period: "monthly",
+        confidence: 50,
+        user_id: openOpportunity.user_id,
+        user_name: openOpportunity.user_name,
+        lead_id: leadData.id,
+        contact_id: openOpportunity.contact_id
+      },
+      {
+        event_id: `closeio:${openOpportunity.id}:stat_active`,
+        created_at: openOpportunity.date_updated,
+        source: "closeio",
+        type: "opportunity"
+      }
+    ]
+  ]);
+};
@@ -0,0 +1,18 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  _.set(schedulerPayload, "connector.private_settings.lead_attributes_inbound", [
+    "name",
+    "opportunities",
+    "opportunity_status_label"
+  ]);
+  _.set(
+    schedulerPayload,
+    "connector.private_settings.contact_attributes_inbound",
+    []
+  );
+  return schedulerPayload;
+};
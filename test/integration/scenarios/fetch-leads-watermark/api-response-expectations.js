@@ -0,0 +1,29 @@
+const _ = require("lodash");
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+const payloadEmail = require("../../fixtures/api-responses/activity-email-get.json");
+
+module.exports = nock => {
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  // Leads are fetched from the contacts watermark, since it is older
+  nock("https://app.close.io")
+    .get("/api/v1/lead/")
+    .query({
+      query: "updated >= 2017-03-20T08:53:20 sort:date_updated",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, _.assign({}, payloadLeads, { has_more: false }));
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/activity\/email\//)
+    .reply(200, payloadEmail);
+};
@@ -0,0 +1,17 @@
+module.exports = ctxMock => {
+  const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+
+  // Watermarks move to the latest update of the fetched leads, contacts
+  // are fetched with their lead and catch up with the leads watermark
+  expect(settingsUpdates[settingsUpdates.length - 1]).toEqual([
+    {
+      last_sync_at: 1531764830,
+      last_contacts_sync_at: 1531764830,
+      leads_fetch_checkpoint: null
+    }
+  ]);
+  expect(ctxMock.client.logger.info.mock.calls).toContainEqual([
+    "incoming.job.success",
+    { last_sync_at: 1531764830, last_contacts_sync_at: 1531764830 }
+  ]);
+};
@@ -0,0 +1,18 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+
+module.exports = () => {
+  _.set(
+    schedulerPayload,
+    "connector.private_settings.last_sync_at",
+    1500000000
+  );
+  _.set(
+    schedulerPayload,
+    "connector.private_settings.last_contacts_sync_at",
+    1490000000
+  );
+  return schedulerPayload;
+};
@@ -16,11 +16,21 @@ module.exports = nock => {
   nock("https://app.close.io")
     .get("/api/v1/lead/")
     .query({
-      query: "updated >= 2018-07-17T08:21:29",
+      query: "updated >= 2018-07-17T08:26:29 sort:date_updated",
       _limit: 100,
       _skip: 0
     })
     .reply(200, payloadLeads);
+
+  // The next page starts at the last lead, which is already known
+  nock("https://app.close.io")
+    .get("/api/v1/lead/")
+    .query({
+      query: "updated >= 2018-07-16T18:13:50 sort:date_updated",
+      _limit: 100,
+      _skip: 0
+    })
+    .reply(200, _.assign({}, payloadLeads, { has_more: false }));
   
   nock("https://app.close.io/")
     .get(/\/api\/v1\/activity\/email\//)
@@ -138,4 +138,27 @@ module.exports = ctxMock => {
     }
   };
   expect(ctxMock.client.traits.mock.calls[1]).toEqual([firstUserTraits]);
+
+  // The lead on the second page has already been fetched with the first one
+  expect(ctxMock.client.asAccount.mock.calls).toHaveLength(1);
+
+  const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+  const checkpoint = {
+    updated_at: "2018-07-16T18:13:50",
+    ids: [leadData.id],
+    skip: 0
+  };
+  expect(settingsUpdates[0]).toEqual([{ leads_fetch_checkpoint: checkpoint }]);
+  // The whole second page has been updated in the same second, so it is skipped
+  expect(settingsUpdates[1]).toEqual([
+    { leads_fetch_checkpoint: { ...checkpoint, skip: 1 } }
+  ]);
+  // The lead is older than the watermark, so the watermark stays where it was
+  expect(settingsUpdates[2]).toEqual([
+    {
+      last_sync_at: 1531815989,
+      last_contacts_sync_at: 1531815989,
+      leads_fetch_checkpoint: null
+    }
+  ]);
 };
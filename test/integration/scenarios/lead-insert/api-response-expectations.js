@@ -0,0 +1,38 @@
+const _ = require("lodash");
+const payload = require("../../fixtures/api-responses/lead-post.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+
+module.exports = nock => {
+  const respPayload = _.cloneDeep(payload);
+  _.set(respPayload, "display_name", "Madkudu");
+  _.set(respPayload, "name", "Madkudu");
+  _.set(respPayload, "url", "madkudu.com");
+  _.set(respPayload, "contacts", []);
+  _.set(respPayload, "addresses", []);
+  _.set(respPayload, "opportunities", []);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .get("/api/v1/lead/")
+    .query({
+      query: "\"custom.Company ID\":\"hull12345678\"",
+      _limit: 10,
+      _skip: 0
+    })
+    .reply(200, { has_more: false, total_results: 0, data: [] });
+
+  nock("https://app.close.io/")
+    .post(/\/api\/v1\/lead\//, {
+      name: "Madkudu",
+      "custom.lcf_9TB8XYocaq1GQMK5z7MVyOE7TXS1Cys5VycWwTlRBOZ": "hull12345678"
+    })
+    .reply(200, respPayload);
+};
@@ -0,0 +1,19 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/account-update.json")
+);
+
+module.exports = () => {
+  const accountSegmentId = _.get(
+    notifierPayload,
+    "messages[0].account_segments[0].id"
+  );
+  _.set(notifierPayload, "messages[0].account.id", "5bd329d5e2bcf3eeaf000099");
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_account_segments",
+    [accountSegmentId]
+  );
+
+  return notifierPayload;
+};
@@ -0,0 +1,18 @@
+const SHARED_MESSAGES = require("../../../../server/lib/shared-messages");
+
+module.exports = ctxMock => {
+  expect(ctxMock.cache.del.mock.calls).toEqual([["5aa8f7cfd68a1fcb54000028"]]);
+
+  expect(ctxMock.client.traits.mock.calls).toHaveLength(1);
+  const traits = ctxMock.client.traits.mock.calls[0][0];
+  expect(traits["closeio/id"]).toEqual({ operation: "set", value: null });
+  expect(traits["closeio/deleted_at"].operation).toEqual("set");
+  expect(traits["closeio/deleted_at"].value).toBeDefined();
+
+  expect(ctxMock.client.logger.info.mock.calls).toEqual([
+    [
+      "outgoing.account.skip",
+      SHARED_MESSAGES.OPERATION_SKIP_LEADDELETEDINCLOSEIO().message
+    ]
+  ]);
+};
@@ -0,0 +1,54 @@
+const _ = require("lodash");
+const payload = require("../../fixtures/api-responses/lead-put.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+const payloadEmail = require("../../fixtures/api-responses/activity-email-get.json");
+
+module.exports = nock => {
+  const respPayload = _.cloneDeep(payload);
+  _.set(respPayload, "id", "lead_merged_destination");
+  _.set(respPayload, "contacts", []);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io")
+    .put("/api/v1/lead/lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty/")
+    .reply(404, { error: "Empty query: Lead matching query does not exist." });
+
+  nock("https://app.close.io")
+    .get("/api/v1/event/")
+    .query({
+      object_type: "lead",
+      action: "merged",
+      lead_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+    })
+    .reply(200, {
+      data: [
+        {
+          id: "ev_merge_1",
+          object_type: "lead",
+          action: "merged",
+          lead_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty",
+          data: {
+            source_id: "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty",
+            destination_id: "lead_merged_destination"
+          }
+        }
+      ],
+      has_more: false
+    });
+
+  nock("https://app.close.io")
+    .put("/api/v1/lead/lead_merged_destination/")
+    .reply(200, respPayload);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/activity\/email\//)
+    .reply(200, payloadEmail);
+};
@@ -0,0 +1,18 @@
+module.exports = ctxMock => {
+  // The account is linked to the lead it has been merged into
+  expect(ctxMock.cache.set.mock.calls[0]).toEqual([
+    "5aa8f7cfd68a1fcb54000028",
+    "lead_merged_destination"
+  ]);
+  expect(ctxMock.client.traits.mock.calls).toHaveLength(1);
+  expect(ctxMock.client.traits.mock.calls[0][0]["closeio/id"]).toEqual({
+    operation: "set",
+    value: "lead_merged_destination"
+  });
+
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+  expect(ctxMock.client.logger.info.mock.calls).toHaveLength(1);
+  expect(ctxMock.client.logger.info.mock.calls[0][0]).toEqual(
+    "outgoing.account.success"
+  );
+};
@@ -0,0 +1,28 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/account-update.json")
+);
+
+module.exports = () => {
+  const accountSegmentId = _.get(
+    notifierPayload,
+    "messages[0].account_segments[0].id"
+  );
+  _.set(
+    notifierPayload,
+    "messages[0].account['closeio/id']",
+    "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+  );
+  _.set(
+    notifierPayload,
+    "messages[0].account.id",
+    "5aa8f7cfd68a1fcb54000028"
+  );
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_account_segments",
+    [accountSegmentId]
+  );
+
+  return notifierPayload;
+};
@@ -0,0 +1,40 @@
+const _ = require("lodash");
+const payload = require("../../fixtures/api-responses/lead-put.json");
+const payloadStatus = require("../../fixtures/api-responses/list-leadstatus.json");
+const payloadOpportunityStatus = require("../../fixtures/api-responses/list-opportunitystatus.json");
+const payloadFields = require("../../fixtures/api-responses/list-leadfields.json");
+const payloadEmail = require("../../fixtures/api-responses/activity-email-get.json");
+const payloadOpportunities = require("../../fixtures/api-responses/list-opportunities.json");
+
+module.exports = nock => {
+  const respPayload = _.cloneDeep(payload);
+  _.set(respPayload, "contacts", []);
+  nock("https://app.close.io/")
+    .put(/\/api\/v1\/lead\//)
+    .reply(200, respPayload);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/lead\//)
+    .reply(200, payloadStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/status\/opportunity\//)
+    .reply(200, payloadOpportunityStatus);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/custom_fields\/lead\//)
+    .reply(200, payloadFields);
+
+  nock("https://app.close.io/")
+    .get(/\/api\/v1\/activity\/email\//)
+    .reply(200, payloadEmail);
+
+  const opportunityResponse = _.cloneDeep(payloadOpportunities.data[1]);
+  nock("https://app.close.io")
+    .post("/api/v1/opportunity/", {
+      lead_id: respPayload.id,
+      value: 150050,
+      status_id: "stat_8QBN7CYbzEGAlxfH4evDBVQ8cjBbkxsc03GYYXDEOuG"
+    })
+    .reply(200, opportunityResponse);
+};
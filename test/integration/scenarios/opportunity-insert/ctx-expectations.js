@@ -0,0 +1,20 @@
+const payloadOpportunities = require("../../fixtures/api-responses/list-opportunities.json");
+
+module.exports = ctxMock => {
+  const opportunityId = payloadOpportunities.data[1].id;
+
+  expect(ctxMock.client.traits.mock.calls).toHaveLength(2);
+  expect(ctxMock.client.traits.mock.calls[1][0]).toEqual({
+    "closeio/opportunity_id": { value: opportunityId, operation: "set" }
+  });
+  expect(ctxMock.cache.set.mock.calls).toEqual([
+    ["leadhash_5b1e5b1b8d6ad3f29f000021", expect.any(String)],
+    ["opportunity_5b1e5b1b8d6ad3f29f000021", opportunityId]
+  ]);
+
+  const successLogs = ctxMock.client.logger.info.mock.calls.filter(
+    call => call[0] === "outgoing.opportunity.success"
+  );
+  expect(successLogs).toHaveLength(1);
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+};
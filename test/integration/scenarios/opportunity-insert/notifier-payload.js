@@ -0,0 +1,40 @@
+const _ = require("lodash");
+const notifierPayload = _.cloneDeep(
+  require("../../fixtures/notifier-payloads/account-update.json")
+);
+
+module.exports = () => {
+  const accountSegmentId = _.get(
+    notifierPayload,
+    "messages[0].account_segments[0].id"
+  );
+  _.set(notifierPayload, "messages[0].account.id", "5b1e5b1b8d6ad3f29f000021");
+  _.set(
+    notifierPayload,
+    "messages[0].account['closeio/id']",
+    "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty"
+  );
+  _.set(notifierPayload, "messages[0].account.mrr", "1500.5");
+  _.set(notifierPayload, "messages[0].account.deal_stage", "demo completed");
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_account_segments",
+    [accountSegmentId]
+  );
+  _.set(
+    notifierPayload,
+    "connector.private_settings.synchronized_opportunity_segments",
+    [accountSegmentId]
+  );
+  _.set(
+    notifierPayload,
+    "connector.private_settings.opportunity_attributes_outbound",
+    [
+      { hull_field_name: "mrr", closeio_field_name: "value" },
+      { hull_field_name: "deal_stage", closeio_field_name: "status" },
+      { hull_field_name: "unknown_attribute", closeio_field_name: "note" }
+    ]
+  );
+
+  return notifierPayload;
+};
@@ -0,0 +1,17 @@
+const payloadOpportunities = require("../../fixtures/api-responses/list-opportunities.json");
+
+module.exports = ctxMock => {
+  const opportunityId = payloadOpportunities.data[1].id;
+
+  expect(ctxMock.cache.del).toHaveBeenCalledWith(
+    "opportunity_5b1e5b1b8d6ad3f29f000021"
+  );
+  expect(ctxMock.client.traits.mock.calls[1][0]).toEqual({
+    "closeio/opportunity_id": { value: opportunityId, operation: "set" }
+  });
+  expect(ctxMock.cache.set).toHaveBeenCalledWith(
+    "opportunity_5b1e5b1b8d6ad3f29f000021",
+    opportunityId
+  );
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+};
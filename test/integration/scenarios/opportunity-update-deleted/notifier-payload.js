@@ -0,0 +1,12 @@
+const _ = require("lodash");
+const opportunityInsertPayload = require("../opportunity-insert/notifier-payload");
+
+module.exports = () => {
+  const notifierPayload = opportunityInsertPayload();
+  _.set(
+    notifierPayload,
+    "messages[0].account['closeio/opportunity_id']",
+    "oppo_deleted"
+  );
+  return notifierPayload;
+};
@@ -0,0 +1,14 @@
+const payloadActivities = require("../../fixtures/api-responses/list-activities.json");
+
+module.exports = ctxMock => {
+  const activityData = payloadActivities.data[0];
+
+  expect(ctxMock.client.asUser.mock.calls).toEqual([
+    [{ anonymous_id: `closeio:${activityData.contact_id}` }]
+  ]);
+  expect(ctxMock.client.track.mock.calls).toHaveLength(1);
+  expect(ctxMock.client.track.mock.calls[0][0]).toEqual("Close.io Call");
+  expect(ctxMock.client.track.mock.calls[0][2].event_id).toEqual(
+    `closeio:${activityData.id}`
+  );
+};
@@ -0,0 +1,24 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+const payloadActivities = require("../../fixtures/api-responses/list-activities.json");
+
+module.exports = () => {
+  const activityData = payloadActivities.data[0];
+  _.set(schedulerPayload, "connector.private_settings.synchronized_activities", [
+    "Call"
+  ]);
+  return {
+    connector: schedulerPayload.connector,
+    event: {
+      id: "ev_5678",
+      date_created: "2018-07-17T09:02:11.349000",
+      object_type: "activity.call",
+      object_id: activityData.id,
+      lead_id: activityData.lead_id,
+      action: "created",
+      data: activityData
+    }
+  };
+};
@@ -0,0 +1,18 @@
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+
+module.exports = ctxMock => {
+  const leadData = payloadLeads.data[0];
+
+  // The whole lead is refetched and saved like during the fetch
+  expect(ctxMock.client.asAccount.mock.calls[0][0].anonymous_id).toEqual(
+    `closeio:${leadData.id}`
+  );
+  expect(ctxMock.client.traits.mock.calls[0][0]["closeio/id"]).toEqual({
+    value: leadData.id,
+    operation: "set"
+  });
+  expect(ctxMock.client.asUser.mock.calls).toHaveLength(
+    leadData.contacts.length
+  );
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+};
@@ -0,0 +1,24 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+
+module.exports = () => {
+  const leadData = payloadLeads.data[0];
+  const contactData = leadData.contacts[0];
+  return {
+    connector: schedulerPayload.connector,
+    event: {
+      id: "ev_1234",
+      date_created: "2018-07-17T09:02:11.349000",
+      object_type: "contact",
+      object_id: contactData.id,
+      lead_id: leadData.id,
+      action: "updated",
+      changed_fields: ["title"],
+      data: contactData,
+      previous_data: { title: "Intern" }
+    }
+  };
+};
@@ -0,0 +1,23 @@
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+
+module.exports = ctxMock => {
+  const leadData = payloadLeads.data[0];
+
+  // The deleted lead isn't fetched again, the account is only unlinked
+  expect(ctxMock.client.asAccount.mock.calls[0][0]).toEqual({
+    external_id:
+      leadData["custom.lcf_9TB8XYocaq1GQMK5z7MVyOE7TXS1Cys5VycWwTlRBOZ"],
+    domain: "medici.com",
+    anonymous_id: `closeio:${leadData.id}`
+  });
+  expect(ctxMock.client.traits.mock.calls).toHaveLength(1);
+  expect(ctxMock.client.traits.mock.calls[0][0]["closeio/id"]).toEqual({
+    value: null,
+    operation: "set"
+  });
+  expect(
+    ctxMock.client.traits.mock.calls[0][0]["closeio/deleted_at"].value
+  ).toBeDefined();
+  expect(ctxMock.client.asUser.mock.calls).toHaveLength(0);
+  expect(ctxMock.client.logger.error.mock.calls).toHaveLength(0);
+};
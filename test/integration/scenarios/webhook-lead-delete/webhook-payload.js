@@ -0,0 +1,23 @@
+const _ = require("lodash");
+const schedulerPayload = _.cloneDeep(
+  require("../../fixtures/scheduler-payload.json")
+);
+const payloadLeads = require("../../fixtures/api-responses/list-leads.json");
+
+module.exports = () => {
+  const leadData = payloadLeads.data[0];
+  return {
+    connector: schedulerPayload.connector,
+    event: {
+      id: "ev_5678",
+      date_created: "2018-07-17T09:02:11.349000",
+      object_type: "lead",
+      object_id: leadData.id,
+      lead_id: leadData.id,
+      action: "deleted",
+      changed_fields: [],
+      data: {},
+      previous_data: _.omit(leadData, "id")
+    }
+  };
+};
@@ -1,7 +1,11 @@
 /* eslint-disable global-require, import/no-dynamic-require */
+const _ = require("lodash");
 const nock = require("nock");
 
 const SyncAgent = require("../../server/lib/sync-agent");
+const FilterUtil = require("../../server/lib/sync-agent/filter-util");
+const MappingUtil = require("../../server/lib/sync-agent/mapping-util");
+const SHARED_MESSAGES = require("../../server/lib/shared-messages");
 
 const { ContextMock } = require("./helper/connector-mock");
 
@@ -26,7 +30,14 @@ describe("SyncAgent", () => {
   });
 
   describe("sendAccountMessages", () => {
-    const scenariosToRun = ["lead-update"];
+    const scenariosToRun = [
+      "lead-update",
+      "lead-update-merged",
+      "lead-update-deleted",
+      "lead-insert",
+      "opportunity-insert",
+      "opportunity-update-deleted"
+    ];
     scenariosToRun.forEach(scenarioName => {
       test(`${scenarioName}`, () => {
         const notifierPayload = require(`./scenarios/${scenarioName}/notifier-payload`)();
@@ -47,8 +58,188 @@ describe("SyncAgent", () => {
     });
   });
 
+  describe("sendAccountMessages change detection", () => {
+    test("should skip accounts whose lead payload hasn't changed", () => {
+      const notifierPayload = require("./scenarios/lead-update/notifier-payload")();
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      require("./scenarios/lead-update/api-response-expectations")(nock);
+
+      return syncAgent
+        .sendAccountMessages(notifierPayload.messages)
+        .then(() => {
+          const hashCall = _.find(ctxMock.cache.set.mock.calls, call =>
+            _.startsWith(call[0], "leadhash_")
+          );
+          expect(hashCall).toBeDefined();
+          ctxMock.cache.get.mockImplementation(key =>
+            Promise.resolve(key === hashCall[0] ? hashCall[1] : undefined)
+          );
+          ctxMock.metric.increment.mockClear();
+          ctxMock.client.logger.info.mockClear();
+
+          return syncAgent.sendAccountMessages(notifierPayload.messages);
+        })
+        .then(() => {
+          expect(ctxMock.metric.increment.mock.calls).toHaveLength(0);
+          expect(ctxMock.client.logger.info.mock.calls).toEqual([
+            [
+              "outgoing.account.skip",
+              SHARED_MESSAGES.OPERATION_SKIP_LEADUNCHANGED().message
+            ]
+          ]);
+          expect(nock.isDone()).toBe(true);
+        });
+    });
+  });
+
+  describe("sendAccountMessages addresses", () => {
+    test("should merge the mapped address with the addresses of the lead", () => {
+      const leadId = "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty";
+      const notifierPayload = require("./scenarios/lead-update/notifier-payload")();
+      _.set(
+        notifierPayload,
+        "connector.private_settings.lead_attributes_outbound",
+        [
+          { hull_field_name: "name", closeio_field_name: "name" },
+          {
+            hull_field_name: "hq_city",
+            closeio_field_name: "addresses.city"
+          }
+        ]
+      );
+      _.set(notifierPayload, "messages[0].account.hq_city", "Berlin");
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      nock("https://app.close.io/")
+        .get("/api/v1/status/lead/")
+        .reply(200, require("./fixtures/api-responses/list-leadstatus.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/custom_fields\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadfields.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/activity\/email\//)
+        .reply(200, require("./fixtures/api-responses/activity-email-get.json"));
+      nock("https://app.close.io/")
+        .get(`/api/v1/lead/${leadId}/`)
+        .reply(200, {
+          id: leadId,
+          addresses: [
+            { label: "office", address_1: "747 Howard St", city: "SF" },
+            { label: "mailing", city: "Paris" }
+          ]
+        });
+      let putBody;
+      nock("https://app.close.io/")
+        .put(`/api/v1/lead/${leadId}/`, body => {
+          putBody = body;
+          return true;
+        })
+        .reply(200, require("./fixtures/api-responses/lead-put.json"));
+
+      return syncAgent
+        .sendAccountMessages(notifierPayload.messages)
+        .then(() => {
+          expect(putBody.addresses).toEqual([
+            { label: "office", address_1: "747 Howard St", city: "Berlin" },
+            { label: "mailing", city: "Paris" }
+          ]);
+          // The hash of the mapped lead detects unchanged addresses
+          const hashCall = _.find(ctxMock.cache.set.mock.calls, call =>
+            _.startsWith(call[0], "leadhash_")
+          );
+          expect(hashCall[1]).not.toEqual(FilterUtil.getPayloadHash(putBody));
+          expect(nock.isDone()).toBe(true);
+        });
+    });
+
+    test("should not send the addresses if the lead cannot be read", () => {
+      const leadId = "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty";
+      const notifierPayload = require("./scenarios/lead-update/notifier-payload")();
+      _.set(
+        notifierPayload,
+        "connector.private_settings.lead_attributes_outbound",
+        [
+          { hull_field_name: "name", closeio_field_name: "name" },
+          {
+            hull_field_name: "hq_city",
+            closeio_field_name: "addresses.city"
+          }
+        ]
+      );
+      _.set(notifierPayload, "messages[0].account.hq_city", "Berlin");
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.serviceClient.retryMaxAttempts = 1;
+      syncAgent.serviceClient.retryBaseDelay = 1;
+      nock("https://app.close.io/")
+        .get("/api/v1/status/lead/")
+        .reply(200, require("./fixtures/api-responses/list-leadstatus.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/custom_fields\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadfields.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/activity\/email\//)
+        .reply(200, require("./fixtures/api-responses/activity-email-get.json"));
+      nock("https://app.close.io/")
+        .get(`/api/v1/lead/${leadId}/`)
+        .times(2)
+        .reply(500, { error: "Internal Server Error" });
+      let putBody;
+      nock("https://app.close.io/")
+        .put(`/api/v1/lead/${leadId}/`, body => {
+          putBody = body;
+          return true;
+        })
+        .reply(200, require("./fixtures/api-responses/lead-put.json"));
+
+      return syncAgent
+        .sendAccountMessages(notifierPayload.messages)
+        .then(() => {
+          expect(Object.keys(putBody)).not.toContain("addresses");
+          expect(putBody.name).toBeDefined();
+          expect(ctxMock.client.logger.warn).toHaveBeenCalledWith(
+            "outgoing.account.warning",
+            SHARED_MESSAGES.MAPPING_SKIP_MERGEFIELDS("Lead", ["addresses"])
+          );
+          expect(nock.isDone()).toBe(true);
+        });
+    });
+  });
+
+  describe("assignRoundRobinOwners", () => {
+    test("should assign new leads without owner in turn", () => {
+      const ownerField = "custom.lcf_owner";
+      ctxMock.connector.private_settings = {
+        lead_owner_field: ownerField,
+        lead_owner_round_robin: ["user_1", "user_2"]
+      };
+      ctxMock.cache.get.mockImplementation(() => Promise.resolve(1));
+      const syncAgent = new SyncAgent(ctxMock);
+      const envelopes = [
+        { cioLeadWrite: { name: "A" } },
+        { cioLeadWrite: { name: "B", [ownerField]: "user_3" } },
+        { cioLeadWrite: { name: "C" } },
+        { cioLeadWrite: { name: "D" } }
+      ];
+
+      return syncAgent.assignRoundRobinOwners(envelopes).then(() => {
+        expect(envelopes.map(e => e.cioLeadWrite[ownerField])).toEqual([
+          "user_2",
+          "user_3",
+          "user_1",
+          "user_2"
+        ]);
+        expect(ctxMock.cache.set).toHaveBeenCalledWith("owner_round_robin", 0);
+      });
+    });
+  });
+
   describe("sendUserMessages", () => {
-    const scenariosToRun = [];
+    const scenariosToRun = ["contact-insert", "contact-update-events"];
     scenariosToRun.forEach(scenarioName => {
       test(`${scenarioName}`, () => {
         const notifierPayload = require(`./scenarios/${scenarioName}/notifier-payload`)();
@@ -67,8 +258,289 @@ describe("SyncAgent", () => {
     });
   });
 
+  describe("sendUserMessages events", () => {
+    test("should not create a note again which exists on the lead", () => {
+      const leadId = "lead_70jZ5hiVt5X31MZ3vJ0R0GJMqJEihkoF7TtSVFbN2ty";
+      const eventId = "4cf3e7be-2d7c-4fb7-b032-bc33aa49e246";
+      const notifierPayload = require("./scenarios/contact-update-events/notifier-payload")();
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      const payload = require("./fixtures/api-responses/contact-post.json");
+      nock("https://app.close.io/")
+        .get("/api/v1/status/lead/")
+        .reply(200, require("./fixtures/api-responses/list-leadstatus.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/custom_fields\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadfields.json"));
+      nock("https://app.close.io")
+        .get(`/api/v1/contact/${payload.id}`)
+        .reply(200, payload);
+      nock("https://app.close.io")
+        .put(`/api/v1/contact/${payload.id}/`)
+        .reply(200, payload);
+      nock("https://app.close.io")
+        .get("/api/v1/activity/note/")
+        .query(true)
+        .reply(200, {
+          data: [
+            {
+              id: "acti_existing",
+              lead_id: leadId,
+              note: `Visited Pricing\n\n[Hull event ${eventId}]`
+            }
+          ],
+          has_more: false
+        });
+
+      return syncAgent.sendUserMessages(notifierPayload.messages).then(() => {
+        expect(ctxMock.cache.set).toHaveBeenCalledWith(
+          `note_${eventId}`,
+          "acti_existing"
+        );
+        expect(ctxMock.client.logger.info).toHaveBeenCalledWith(
+          "outgoing.event.skip",
+          {
+            reason: SHARED_MESSAGES.OPERATION_SKIP_EVENTNOTEEXISTS().message,
+            event_id: eventId
+          }
+        );
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+  });
+
+  describe("sendUserMessages overwrite", () => {
+    test("should not send fields which must not be overwritten if the contact cannot be read", () => {
+      const contactId = "cont_sNIdBgngvbdTTEN1mspKgUqKAWfbul4IITvnWoRw1T7";
+      const notifierPayload = require("./scenarios/contact-update-events/notifier-payload")();
+      _.set(
+        notifierPayload,
+        "connector.private_settings.contact_attributes_outbound",
+        [
+          { hull_field_name: "name", closeio_field_name: "name" },
+          {
+            hull_field_name: "traits_intercom/pseudonym",
+            closeio_field_name: "title",
+            overwrite: false
+          }
+        ]
+      );
+      _.set(notifierPayload, "connector.private_settings.synchronized_events", []);
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.serviceClient.retryMaxAttempts = 1;
+      syncAgent.serviceClient.retryBaseDelay = 1;
+      nock("https://app.close.io/")
+        .get("/api/v1/status/lead/")
+        .reply(200, require("./fixtures/api-responses/list-leadstatus.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/custom_fields\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadfields.json"));
+      nock("https://app.close.io")
+        .get(`/api/v1/contact/${contactId}`)
+        .times(2)
+        .reply(503, { error: "Service Unavailable" });
+      let putBody;
+      nock("https://app.close.io")
+        .put(`/api/v1/contact/${contactId}/`, body => {
+          putBody = body;
+          return true;
+        })
+        .reply(200, require("./fixtures/api-responses/contact-post.json"));
+
+      return syncAgent.sendUserMessages(notifierPayload.messages).then(() => {
+        expect(putBody.name).toEqual("Sven Maschek");
+        expect(Object.keys(putBody)).not.toContain("title");
+        expect(ctxMock.client.logger.warn).toHaveBeenCalledWith(
+          "outgoing.user.warning",
+          SHARED_MESSAGES.MAPPING_SKIP_MERGEFIELDS("Contact", ["title"])
+        );
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+  });
+
+  describe("trackOpportunityEvents", () => {
+    test("should track updated opportunities without contact on the first contact of the lead", () => {
+      const payloadOpportunities = require("./fixtures/api-responses/list-opportunities.json");
+      ctxMock.connector.private_settings = {
+        lead_attributes_inbound: ["opportunities"],
+        // 2018-06-05T00:00:00Z, after the update of oppo_3Active
+        last_sync_at: 1528156800
+      };
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.mappingUtil = new MappingUtil({ attributeMappings: {} });
+
+      return syncAgent
+        .trackOpportunityEvents(payloadOpportunities.data, [
+          { id: "cont_first" },
+          { id: "cont_second" }
+        ])
+        .then(() => {
+          expect(ctxMock.client.asUser.mock.calls).toEqual([
+            [{ anonymous_id: "closeio:cont_first" }],
+            [
+              {
+                anonymous_id:
+                  "closeio:cont_qsavfDMwYxqAiGC7vIOKYyn1lXVEz8CwEVJmHrXUREk"
+              }
+            ]
+          ]);
+          expect(
+            ctxMock.client.track.mock.calls.map(call => call[1].opportunity_id)
+          ).toEqual(["oppo_2Won", "oppo_1OpenWithContact"]);
+        });
+    });
+
+    test("should skip opportunities without contact if the lead has no contacts", () => {
+      const payloadOpportunities = require("./fixtures/api-responses/list-opportunities.json");
+      ctxMock.connector.private_settings = {
+        lead_attributes_inbound: ["opportunities"],
+        last_sync_at: 1528156800
+      };
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.mappingUtil = new MappingUtil({ attributeMappings: {} });
+
+      return syncAgent
+        .trackOpportunityEvents(payloadOpportunities.data, [])
+        .then(() => {
+          expect(ctxMock.client.track).toHaveBeenCalledTimes(1);
+          expect(ctxMock.client.logger.info).toHaveBeenCalledWith(
+            "incoming.event.skip",
+            expect.objectContaining({ opportunity_id: "oppo_2Won" })
+          );
+        });
+    });
+  });
+
+  describe("lookup envelopes", () => {
+    test("should retry failed lookups of leads and contacts", () => {
+      ctxMock.connector.private_settings = { api_key: "lookup_test_key" };
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.mappingUtil = new MappingUtil({
+        attributeMappings: {},
+        leadCustomFields: []
+      });
+      syncAgent.serviceClient.retryBaseDelay = 1;
+      nock("https://app.close.io")
+        .get("/api/v1/lead/")
+        .query(true)
+        .reply(503, { error: "Service unavailable" });
+      nock("https://app.close.io")
+        .get("/api/v1/lead/")
+        .query(true)
+        .reply(200, { data: [{ id: "lead_1", url: "http://hull.io" }] });
+      nock("https://app.close.io")
+        .get("/api/v1/contact/")
+        .query(true)
+        .reply(429, { error: "Too many requests" }, { "Retry-After": "0.01" });
+      nock("https://app.close.io")
+        .get("/api/v1/contact/")
+        .query(true)
+        .reply(200, { data: [] });
+
+      return Promise.all([
+        syncAgent.lookupLeadEnvelopes([
+          {
+            message: { account: { domain: "hull.io" } },
+            hullAccount: { domain: "hull.io" },
+            cioLeadWrite: {}
+          }
+        ]),
+        syncAgent.lookupContactEnvelopes([
+          {
+            message: { user: { email: "jane@hull.io" } },
+            hullUser: { email: "jane@hull.io" },
+            cioContactWrite: {}
+          }
+        ])
+      ]).then(([leadResults, contactResults]) => {
+        expect(leadResults.toUpdate[0].cioLeadWrite.id).toEqual("lead_1");
+        expect(contactResults.toInsert).toHaveLength(1);
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+
+    test("should return failed lookups of a preview as skip reason without logging them", () => {
+      ctxMock.connector.private_settings = { api_key: "lookup_test_key" };
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.mappingUtil = new MappingUtil({
+        attributeMappings: {},
+        leadCustomFields: []
+      });
+      nock("https://app.close.io")
+        .get("/api/v1/lead/")
+        .query(true)
+        .reply(400, { error: "Invalid query" });
+
+      return syncAgent
+        .lookupLeadEnvelopes(
+          [
+            {
+              message: { account: { domain: "hull.io" } },
+              hullAccount: { domain: "hull.io" },
+              cioLeadWrite: {}
+            }
+          ],
+          { preview: true }
+        )
+        .then(results => {
+          expect(results.toInsert).toHaveLength(0);
+          expect(results.toSkip).toHaveLength(1);
+          expect(results.toSkip[0].skipReason).toEqual(
+            'The lead couldn\'t be looked up in close.io and won\'t be sent to avoid a duplicate: {"error":"Invalid query"}'
+          );
+          expect(ctxMock.client.logger.error).not.toHaveBeenCalled();
+          expect(nock.isDone()).toBe(true);
+        });
+    });
+  });
+
+  describe("mapLeadToHullAccountAttributes", () => {
+    test("should clear the addresses which have been removed since the last fetch", () => {
+      const syncAgent = new SyncAgent(ctxMock);
+      syncAgent.mappingUtil = new MappingUtil({
+        attributeMappings: { lead_attributes_inbound: ["addresses"] }
+      });
+      ctxMock.cache.get.mockReturnValueOnce(
+        Promise.resolve({ office: 2, mailing: 1 })
+      );
+
+      return syncAgent
+        .mapLeadToHullAccountAttributes({
+          id: "lead_1",
+          addresses: [{ label: "office", city: "Berlin" }]
+        })
+        .then(attributes => {
+          expect(ctxMock.cache.get).toHaveBeenCalledWith(
+            "lead_addresses_lead_1"
+          );
+          expect(ctxMock.cache.set).toHaveBeenCalledWith(
+            "lead_addresses_lead_1",
+            { office: 1 }
+          );
+          expect(attributes["closeio/address_office_city"].value).toEqual(
+            "Berlin"
+          );
+          expect(attributes["closeio/address_office_address_1"].value).toBe(
+            null
+          );
+          expect(attributes["closeio/address_office_count"].value).toEqual(1);
+          expect(attributes["closeio/address_office_2_city"].value).toBe(null);
+          expect(attributes["closeio/address_mailing_city"].value).toBe(null);
+          expect(attributes["closeio/address_mailing_count"].value).toBe(null);
+        });
+    });
+  });
+
   describe("fetchUpdatedLeads", () => {
-    const scenariosToRun = ["fetch-leads"];
+    const scenariosToRun = [
+      "fetch-leads",
+      "fetch-leads-opportunities",
+      "fetch-leads-watermark"
+    ];
     scenariosToRun.forEach(scenarioName => {
       test(`${scenarioName}`, () => {
         const schedulerPayload = require(`./scenarios/${scenarioName}/scheduler-payload`)();
@@ -82,5 +554,354 @@ describe("SyncAgent", () => {
         });
       });
     });
+
+    test("should leave the watermarks unchanged if a contact cannot be saved", () => {
+      const schedulerPayload = require("./scenarios/fetch-leads-watermark/scheduler-payload")();
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      ctxMock.client.traits
+        .mockImplementationOnce(() => Promise.resolve())
+        .mockImplementationOnce(() => Promise.reject(new Error("Hull error")));
+      const syncAgent = new SyncAgent(ctxMock);
+      require("./scenarios/fetch-leads-watermark/api-response-expectations")(
+        nock
+      );
+      return syncAgent.fetchUpdatedLeads().then(() => {
+        const settingsUpdates = ctxMock.client.utils.settings.update.mock.calls;
+        expect(settingsUpdates).toEqual([[{ leads_fetch_checkpoint: null }]]);
+        expect(ctxMock.client.logger.error.mock.calls).toContainEqual([
+          "incoming.job.error",
+          {
+            reason:
+              "Not all leads could be saved, the sync watermarks remain unchanged.",
+            last_sync_at: 1500000000,
+            last_contacts_sync_at: 1490000000
+          }
+        ]);
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+  });
+
+  describe("fetchActivities", () => {
+    const scenariosToRun = ["fetch-activities"];
+    scenariosToRun.forEach(scenarioName => {
+      test(`${scenarioName}`, () => {
+        const schedulerPayload = require(`./scenarios/${scenarioName}/scheduler-payload`)();
+        ctxMock.connector = schedulerPayload.connector;
+        ctxMock.ship = schedulerPayload.connector;
+        const syncAgent = new SyncAgent(ctxMock);
+        require(`./scenarios/${scenarioName}/api-response-expectations`)(nock);
+        return syncAgent.fetchActivities().then(() => {
+          require(`./scenarios/${scenarioName}/ctx-expectations`)(ctxMock);
+          expect(nock.isDone()).toBe(true);
+        });
+      });
+    });
+  });
+
+  describe("handleLeadsExport", () => {
+    const scenariosToRun = [
+      "export-processing",
+      "export-timeout",
+      "export-failed",
+      "export-not-found"
+    ];
+    scenariosToRun.forEach(scenarioName => {
+      test(`${scenarioName}`, () => {
+        const schedulerPayload = require(`./scenarios/${scenarioName}/scheduler-payload`)();
+        ctxMock.connector = schedulerPayload.connector;
+        ctxMock.ship = schedulerPayload.connector;
+        const syncAgent = new SyncAgent(ctxMock);
+        require(`./scenarios/${scenarioName}/api-response-expectations`)(nock);
+        return syncAgent.handleLeadsExport().then(() => {
+          require(`./scenarios/${scenarioName}/ctx-expectations`)(ctxMock);
+          expect(nock.isDone()).toBe(true);
+        });
+      });
+    });
+
+    test("should not trigger an export while another one is active", () => {
+      const schedulerPayload = require("./scenarios/export-timeout/scheduler-payload")();
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      return expect(syncAgent.triggerLeadsExport()).rejects.toThrow(
+        "The export exp_1 is still processing, wait until it is finished."
+      );
+    });
+
+    const buildImportingPayload = heartbeatAt => {
+      const schedulerPayload = require("./scenarios/export-timeout/scheduler-payload")();
+      _.set(schedulerPayload, "connector.private_settings.leads_export", {
+        id: "exp_1",
+        status: "importing",
+        requested_at: "2018-07-17T08:00:00.000Z",
+        status_changed_at: "2018-07-17T08:00:00.000Z",
+        heartbeat_at: heartbeatAt,
+        attempts: 1,
+        error: null,
+        results: null
+      });
+      return schedulerPayload;
+    };
+
+    test("should not request the export again while the import makes progress", () => {
+      const schedulerPayload = buildImportingPayload(new Date().toISOString());
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+
+      return syncAgent.handleLeadsExport().then(() => {
+        expect(ctxMock.client.utils.settings.update).not.toHaveBeenCalled();
+        expect(ctxMock.client.logger.info).toHaveBeenCalledWith(
+          "incoming.job.skip",
+          { reason: "The export is still importing.", export_id: "exp_1" }
+        );
+      });
+    });
+
+    test("should record the progress of the import", () => {
+      const schedulerPayload = buildImportingPayload(
+        "2018-07-17T09:00:00.000Z"
+      );
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+
+      return syncAgent.updateLeadsExportHeartbeat().then(() => {
+        const state =
+          ctxMock.client.utils.settings.update.mock.calls[0][0].leads_export;
+        expect(state).toMatchObject({ id: "exp_1", status: "importing" });
+        expect(state.heartbeat_at > "2018-07-17T09:00:00.000Z").toBe(true);
+      });
+    });
+
+    test("should request the export again if the import is stalled", () => {
+      const schedulerPayload = buildImportingPayload(
+        "2018-07-17T09:00:00.000Z"
+      );
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      nock("https://app.close.io")
+        .post("/api/v1/export/lead/")
+        .reply(200, { id: "exp_2", status: "created" });
+
+      return syncAgent.handleLeadsExport().then(() => {
+        expect(
+          ctxMock.client.utils.settings.update.mock.calls[0][0]
+        ).toMatchObject({
+          leads_export: { id: "exp_2", status: "requested", attempts: 2 }
+        });
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+
+    test("should request the export again if the import fails", () => {
+      const schedulerPayload = require("./scenarios/export-timeout/scheduler-payload")();
+      ctxMock.connector = schedulerPayload.connector;
+      ctxMock.ship = schedulerPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      nock("https://app.close.io")
+        .get("/api/v1/export/lead/exp_1/")
+        .reply(200, { id: "exp_1", status: "done" });
+      nock("https://app.close.io")
+        .post("/api/v1/export/lead/")
+        .reply(200, { id: "exp_2", status: "created" });
+      syncAgent.serviceClient.getExportLeadStream = jest.fn(() =>
+        Promise.resolve({})
+      );
+      syncAgent.importLeadsExport = jest.fn(() =>
+        Promise.reject(new Error("Import failed"))
+      );
+
+      return syncAgent.handleLeadsExport().then(() => {
+        const states = ctxMock.client.utils.settings.update.mock.calls.map(
+          call => call[0].leads_export
+        );
+        expect(states.map(state => state.status)).toEqual([
+          "downloading",
+          "importing",
+          "requested"
+        ]);
+        expect(states[2]).toMatchObject({ id: "exp_2", attempts: 2 });
+        expect(ctxMock.client.logger.info).toHaveBeenCalledWith(
+          "incoming.job.progress",
+          {
+            reason:
+              "The export cannot be imported: Import failed. Requesting the export again.",
+            export_id: "exp_1"
+          }
+        );
+        expect(nock.isDone()).toBe(true);
+      });
+    });
+
+    test("should not trigger an export without a secret for the local storage", () => {
+      const originalEnv = process.env;
+      process.env = Object.assign({}, originalEnv, { EXPORT_STORAGE: "local" });
+      delete process.env.SECRET;
+      const syncAgent = new SyncAgent(ctxMock);
+      return expect(syncAgent.triggerLeadsExport())
+        .rejects.toThrow(
+          "The local export storage requires the environment variable SECRET."
+        )
+        .finally(() => {
+          process.env = originalEnv;
+        });
+    });
+  });
+
+  describe("handleWebhookEvent", () => {
+    const scenariosToRun = [
+      "webhook-contact-update",
+      "webhook-lead-delete",
+      "webhook-activity"
+    ];
+    scenariosToRun.forEach(scenarioName => {
+      test(`${scenarioName}`, () => {
+        const webhookPayload = require(`./scenarios/${scenarioName}/webhook-payload`)();
+        ctxMock.connector = webhookPayload.connector;
+        ctxMock.ship = webhookPayload.connector;
+        const syncAgent = new SyncAgent(ctxMock);
+        require(`./scenarios/${scenarioName}/api-response-expectations`)(nock);
+        return syncAgent.handleWebhookEvent(webhookPayload.event).then(() => {
+          require(`./scenarios/${scenarioName}/ctx-expectations`)(ctxMock);
+          expect(nock.isDone()).toBe(true);
+        });
+      });
+    });
+  });
+
+  describe("isValidWebhookSignature", () => {
+    const signatureKey =
+      "5a3e2f1b0c9d8e7f6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8a7b6c5d4e3f";
+    const rawBody = JSON.stringify({ event: { id: "ev_1234" } });
+    const timestamp = `${Math.floor(Date.now() / 1000)}`;
+    const sign = signedTimestamp =>
+      require("crypto")
+        .createHmac("sha256", Buffer.from(signatureKey, "hex"))
+        .update(signedTimestamp + rawBody)
+        .digest("hex");
+
+    test("should accept the signature computed with the signature key", () => {
+      ctxMock.connector.private_settings = {
+        webhook_signature_key: signatureKey
+      };
+      const syncAgent = new SyncAgent(ctxMock);
+      const signature = sign(timestamp);
+
+      expect(
+        syncAgent.isValidWebhookSignature(rawBody, timestamp, signature)
+      ).toBe(true);
+      expect(
+        syncAgent.isValidWebhookSignature(`${rawBody} `, timestamp, signature)
+      ).toBe(false);
+    });
+
+    test("should reject signatures with an outdated timestamp", () => {
+      ctxMock.connector.private_settings = {
+        webhook_signature_key: signatureKey
+      };
+      const syncAgent = new SyncAgent(ctxMock);
+      const outdatedTimestamp = `${parseInt(timestamp, 10) - 10 * 60}`;
+
+      expect(
+        syncAgent.isValidWebhookSignature(
+          rawBody,
+          outdatedTimestamp,
+          sign(outdatedTimestamp)
+        )
+      ).toBe(false);
+      expect(
+        syncAgent.isValidWebhookSignature(rawBody, "abcd", sign("abcd"))
+      ).toBe(false);
+    });
+
+    test("should reject requests without a signature key", () => {
+      const syncAgent = new SyncAgent(ctxMock);
+
+      expect(
+        syncAgent.isValidWebhookSignature(rawBody, timestamp, "abcd")
+      ).toBe(false);
+    });
+  });
+
+  describe("preview", () => {
+    test("should show the changes of an account without writing to close.io", () => {
+      const notifierPayload = require("./scenarios/lead-update/notifier-payload")();
+      ctxMock.connector = notifierPayload.connector;
+      ctxMock.ship = notifierPayload.connector;
+      const syncAgent = new SyncAgent(ctxMock);
+      const payloadLead = require("./fixtures/api-responses/lead-put.json");
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/status\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadstatus.json"));
+      nock("https://app.close.io/")
+        .get(/\/api\/v1\/custom_fields\/lead\//)
+        .reply(200, require("./fixtures/api-responses/list-leadfields.json"));
+      nock("https://app.close.io")
+        .get(`/api/v1/lead/${payloadLead.id}/`)
+        .reply(200, payloadLead);
+
+      return syncAgent
+        .previewAccountMessages(notifierPayload.messages)
+        .then(results => {
+          expect(results).toHaveLength(1);
+          expect(results[0]).toMatchObject({
+            name: "madkudu.com",
+            operation: "update"
+          });
+          expect(results[0].diff).toContainEqual({
+            field: "name",
+            current: "Bluth Company",
+            next: "Madkudu"
+          });
+          expect(_.map(results[0].diff, "field")).not.toContain("id");
+          expect(ctxMock.client.traits).not.toHaveBeenCalled();
+          expect(nock.isDone()).toBe(true);
+        });
+    });
+
+    test("should build messages from the Hull search results", () => {
+      const syncAgent = new SyncAgent(ctxMock);
+      ctxMock.client.post.mockImplementationOnce(() =>
+        Promise.resolve({
+          data: [
+            {
+              id: "user_1",
+              email: "jane@madkudu.com",
+              segment_ids: ["seg_1"],
+              account: {
+                id: "acc_1",
+                domain: "madkudu.com",
+                segment_ids: ["seg_2"]
+              }
+            }
+          ]
+        })
+      );
+
+      return syncAgent
+        .fetchPreviewMessages("user", "madkudu.com", 5)
+        .then(messages => {
+          expect(ctxMock.client.post.mock.calls[0][0]).toEqual(
+            "search/user_reports"
+          );
+          expect(ctxMock.client.post.mock.calls[0][1]).toMatchObject({
+            per_page: 5
+          });
+          expect(messages).toEqual([
+            {
+              user: { id: "user_1", email: "jane@madkudu.com" },
+              account: { id: "acc_1", domain: "madkudu.com" },
+              segments: [{ id: "seg_1" }],
+              account_segments: [{ id: "seg_2" }],
+              events: []
+            }
+          ]);
+        });
+    });
   });
 });
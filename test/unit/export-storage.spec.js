@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { URL } = require("url");
+const {
+  createExportStorage,
+  S3ExportStorage,
+  LocalExportStorage
+} = require("../../server/lib/export-storage");
+
+describe("ExportStorage", () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe("createExportStorage", () => {
+    test("should use S3 if a bucket is configured", () => {
+      process.env = Object.assign({}, originalEnv, {
+        AWS_S3_BUCKET: "hull-exports"
+      });
+      delete process.env.EXPORT_STORAGE;
+
+      const storage = createExportStorage({ hostname: "closeio.hull.io" });
+      expect(storage).toBeInstanceOf(S3ExportStorage);
+      expect(storage.bucket).toEqual("hull-exports");
+    });
+
+    test("should use the local disk without a bucket", () => {
+      process.env = Object.assign({}, originalEnv, { SECRET: "s3cr3t" });
+      delete process.env.AWS_S3_BUCKET;
+      delete process.env.EXPORT_STORAGE;
+      delete process.env.EXPORT_STORAGE_URL;
+
+      const storage = createExportStorage({ hostname: "closeio.hull.io" });
+      expect(storage).toBeInstanceOf(LocalExportStorage);
+      expect(storage.baseUrl).toEqual("https://closeio.hull.io");
+    });
+
+    test("should refuse the local disk without a secret", () => {
+      process.env = Object.assign({}, originalEnv, { EXPORT_STORAGE: "local" });
+      delete process.env.SECRET;
+
+      expect(() =>
+        createExportStorage({ hostname: "closeio.hull.io" })
+      ).toThrow(
+        "The local export storage requires the environment variable SECRET."
+      );
+
+      process.env.SECRET = "1234";
+      expect(() =>
+        createExportStorage({ hostname: "closeio.hull.io" })
+      ).toThrow(
+        "The local export storage requires the environment variable SECRET."
+      );
+    });
+
+    test("should reject unknown storages", () => {
+      process.env = Object.assign({}, originalEnv, { EXPORT_STORAGE: "ftp" });
+
+      expect(() =>
+        createExportStorage({ hostname: "closeio.hull.io" })
+      ).toThrow("Unknown export storage 'ftp'.");
+    });
+  });
+
+  describe("LocalExportStorage", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "closeio-test-"));
+    const storage = new LocalExportStorage({
+      directory,
+      baseUrl: "https://closeio.hull.io/",
+      secret: "1234"
+    });
+    const key = "hull-closeio/1234/accounts/0.json";
+
+    const readStream = stream =>
+      new Promise((resolve, reject) => {
+        let data = "";
+        stream.on("data", chunk => {
+          data += chunk;
+        });
+        stream.on("end", () => resolve(data));
+        stream.on("error", reject);
+      });
+
+    test("should write the uploaded stream to the disk", () => {
+      const body = new PassThrough();
+      const upload = storage.upload({ Key: key, Body: body });
+      body.end(`${JSON.stringify({ domain: "hull.io" })}\n`);
+
+      return upload.promise().then(result => {
+        expect(result).toEqual({ Key: key });
+        expect(fs.readFileSync(path.join(directory, key), "utf8")).toEqual(
+          `${JSON.stringify({ domain: "hull.io" })}\n`
+        );
+      });
+    });
+
+    test("should serve the file only through a valid signed url", () => {
+      const url = new URL(
+        storage.getSignedUrl("getObject", { Key: key, Expires: 60 })
+      );
+      expect(url.origin + url.pathname).toEqual(
+        `https://closeio.hull.io/exports/${key}`
+      );
+      const expires = url.searchParams.get("expires");
+      const signature = url.searchParams.get("signature");
+
+      expect(storage.createReadStream(key, expires, "invalid")).toBeNull();
+      expect(
+        storage.createReadStream(
+          "hull-closeio/1234/users/0.json",
+          expires,
+          signature
+        )
+      ).toBeNull();
+      expect(
+        storage.createReadStream(key, "1000", storage.sign(key, 1000))
+      ).toBeNull();
+
+      return readStream(storage.createReadStream(key, expires, signature)).then(
+        data => {
+          expect(data).toEqual(`${JSON.stringify({ domain: "hull.io" })}\n`);
+        }
+      );
+    });
+
+    test("should reject keys outside of the directory", () => {
+      expect(() => storage.getFilePath("../../etc/passwd")).toThrow(
+        "Invalid key '../../etc/passwd' for the export storage."
+      );
+    });
+  });
+});
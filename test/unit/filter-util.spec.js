@@ -0,0 +1,349 @@
+const FilterUtil = require("../../server/lib/sync-agent/filter-util");
+const SHARED_MESSAGES = require("../../server/lib/shared-messages");
+
+describe("FilterUtil", () => {
+  const buildCache = (cachedValue = undefined) => ({
+    get: jest.fn(() => Promise.resolve(cachedValue)),
+    set: jest.fn(() => Promise.resolve()),
+    del: jest.fn(() => Promise.resolve())
+  });
+
+  const buildAccountEnvelope = (account, segmentIds = ["acc_seg_1"]) => ({
+    message: {
+      account,
+      account_segments: segmentIds.map(id => ({ id }))
+    },
+    hullAccount: account,
+    cioLeadWrite: { name: account.name },
+    cioLeadRead: null,
+    skipReason: null,
+    error: null
+  });
+
+  describe("filterAccounts", () => {
+    test("should skip accounts not matching the whitelisted segments", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_2"],
+        leadIdentifierHull: "domain",
+        cache: buildCache()
+      });
+      const envelope = buildAccountEnvelope({ id: "1", domain: "hull.io" });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toSkip[0].skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_NOMATCHACCOUNTSEGMENTS().message
+        );
+        expect(results.toInsert).toHaveLength(0);
+        expect(results.toUpdate).toHaveLength(0);
+      });
+    });
+
+    test("should update accounts with a close.io id", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_1"],
+        leadIdentifierHull: "domain",
+        cache: buildCache()
+      });
+      const envelope = buildAccountEnvelope({
+        id: "1",
+        domain: "hull.io",
+        "closeio/id": "lead_1"
+      });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toUpdate).toHaveLength(1);
+        expect(results.toUpdate[0].cioLeadWrite.id).toEqual("lead_1");
+      });
+    });
+
+    test("should update accounts with a cached close.io id", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_1"],
+        leadIdentifierHull: "domain",
+        cache: buildCache("lead_2")
+      });
+      const envelope = buildAccountEnvelope({ id: "1", domain: "hull.io" });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toUpdate).toHaveLength(1);
+        expect(results.toUpdate[0].cioLeadWrite.id).toEqual("lead_2");
+      });
+    });
+
+    test("should insert accounts without a close.io id", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_1"],
+        leadIdentifierHull: "domain",
+        cache: buildCache()
+      });
+      const envelope = buildAccountEnvelope({ id: "1", domain: "hull.io" });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toInsert).toHaveLength(1);
+        expect(results.toUpdate).toHaveLength(0);
+        expect(results.toSkip).toHaveLength(0);
+      });
+    });
+
+    test("should skip accounts without a value for the identifier", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_1"],
+        leadIdentifierHull: "external_id",
+        cache: buildCache()
+      });
+      const envelope = buildAccountEnvelope({ id: "1", domain: "hull.io" });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toSkip[0].skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_NOLEADIDENT("external_id").message
+        );
+      });
+    });
+
+    test("should skip accounts whose lead has been deleted in close.io", () => {
+      const util = new FilterUtil({
+        synchronizedAccountSegments: ["acc_seg_1"],
+        leadIdentifierHull: "domain",
+        cache: buildCache()
+      });
+      const envelope = buildAccountEnvelope({
+        id: "1",
+        domain: "hull.io",
+        "closeio/id": null,
+        "closeio/deleted_at": "2018-07-17T09:02:11.349Z"
+      });
+
+      return util.filterAccounts([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toSkip[0].skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_LEADDELETEDINCLOSEIO().message
+        );
+        expect(results.toInsert).toHaveLength(0);
+        expect(results.toUpdate).toHaveLength(0);
+      });
+    });
+  });
+
+  describe("filterUsers", () => {
+    const buildUserEnvelope = (user, account = {}) => ({
+      message: {
+        user,
+        account,
+        segments: [{ id: "user_seg_1" }],
+        account_segments: [{ id: "acc_seg_1" }]
+      },
+      hullUser: Object.assign({}, user, { account }),
+      cioContactWrite: { name: user.name },
+      cioContactRead: null,
+      skipReason: null,
+      error: null
+    });
+
+    test("should insert users linked to an account which exists in close.io", () => {
+      const util = new FilterUtil({
+        synchronizedSegments: ["user_seg_1"],
+        synchronizedAccountSegments: ["acc_seg_1"],
+        cache: buildCache()
+      });
+      const envelope = buildUserEnvelope(
+        { id: "1", email: "sven@hull.io" },
+        { id: "2", "closeio/id": "lead_1" }
+      );
+
+      return util.filterUsers([envelope]).then(results => {
+        expect(results.toInsert).toHaveLength(1);
+        expect(results.toInsert[0].cioContactWrite.lead_id).toEqual("lead_1");
+      });
+    });
+
+    test("should skip users not linked to an account which exists in close.io", () => {
+      const util = new FilterUtil({
+        synchronizedSegments: ["user_seg_1"],
+        synchronizedAccountSegments: ["acc_seg_1"],
+        cache: buildCache()
+      });
+      const envelope = buildUserEnvelope(
+        { id: "1", email: "sven@hull.io" },
+        { id: "2" }
+      );
+
+      return util.filterUsers([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toSkip[0].skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_NOLINKEDACCOUNT().message
+        );
+      });
+    });
+
+    test("should skip users not matching the whitelisted user segments", () => {
+      const util = new FilterUtil({
+        synchronizedSegments: ["user_seg_2"],
+        synchronizedAccountSegments: ["acc_seg_1"],
+        cache: buildCache()
+      });
+      const envelope = buildUserEnvelope(
+        { id: "1", email: "sven@hull.io" },
+        { id: "2", "closeio/id": "lead_1" }
+      );
+
+      return util.filterUsers([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toSkip[0].skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_NOMATCHUSERSEGMENTS().message
+        );
+      });
+    });
+
+    test("should only filter users by their account without user segments", () => {
+      const util = new FilterUtil({
+        synchronizedSegments: [],
+        synchronizedAccountSegments: ["acc_seg_1"],
+        cache: buildCache()
+      });
+      const envelope = buildUserEnvelope(
+        { id: "1", email: "sven@hull.io" },
+        { id: "2", "closeio/id": "lead_1" }
+      );
+
+      return util.filterUsers([envelope]).then(results => {
+        expect(results.toSkip).toHaveLength(0);
+        expect(results.toInsert).toHaveLength(1);
+      });
+    });
+  });
+
+  describe("filterEvents", () => {
+    test("should only return whitelisted events which haven't been sent", () => {
+      const cache = buildCache();
+      cache.get = jest.fn(key => {
+        return Promise.resolve(key === "note_2" ? "acti_1" : undefined);
+      });
+      const util = new FilterUtil({
+        synchronizedEvents: ["Signed Up"],
+        cache
+      });
+      const events = [
+        { event_id: "1", event: "Signed Up" },
+        { event_id: "2", event: "Signed Up" },
+        { event_id: "3", event: "page" }
+      ];
+
+      return util.filterEvents(events).then(results => {
+        expect(results).toEqual([events[0]]);
+      });
+    });
+  });
+
+  describe("filterOpportunities", () => {
+    const buildSyncedEnvelope = (account, segmentIds) => {
+      const envelope = buildAccountEnvelope(account, segmentIds);
+      envelope.cioLeadRead = { id: "lead_1" };
+      envelope.cioOpportunityWrite = { value: 1000 };
+      return envelope;
+    };
+
+    test("should only handle accounts in the opportunity segments", () => {
+      const util = new FilterUtil({
+        synchronizedOpportunitySegments: ["acc_seg_2"],
+        cache: buildCache()
+      });
+      const envelopes = [
+        buildSyncedEnvelope({ id: "1" }, ["acc_seg_1"]),
+        buildSyncedEnvelope({ id: "2" }, ["acc_seg_1", "acc_seg_2"])
+      ];
+
+      return util.filterOpportunities(envelopes).then(results => {
+        expect(results.toSkip).toHaveLength(1);
+        expect(results.toInsert).toHaveLength(1);
+        expect(results.toInsert[0].cioOpportunityWrite).toEqual({
+          lead_id: "lead_1",
+          value: 1000
+        });
+      });
+    });
+
+    test("should update the known opportunity of an account", () => {
+      const cache = buildCache("oppo_cached");
+      const util = new FilterUtil({
+        synchronizedOpportunitySegments: ["acc_seg_1"],
+        cache
+      });
+      const envelopes = [
+        buildSyncedEnvelope({ id: "1", "closeio/opportunity_id": "oppo_1" }),
+        buildSyncedEnvelope({ id: "2" })
+      ];
+
+      return util.filterOpportunities(envelopes).then(results => {
+        expect(cache.get).toHaveBeenCalledWith("opportunity_2");
+        expect(results.toUpdate.map(e => e.cioOpportunityWrite.id)).toEqual([
+          "oppo_1",
+          "oppo_cached"
+        ]);
+      });
+    });
+
+    test("should create the opportunity if its id has been cleared", () => {
+      const util = new FilterUtil({
+        synchronizedOpportunitySegments: ["acc_seg_1"],
+        cache: buildCache()
+      });
+      const envelopes = [
+        buildSyncedEnvelope({ id: "1", "closeio/opportunity_id": null })
+      ];
+
+      return util.filterOpportunities(envelopes).then(results => {
+        expect(results.toUpdate).toHaveLength(0);
+        expect(results.toInsert).toHaveLength(1);
+        expect(results.toInsert[0].cioOpportunityWrite).not.toHaveProperty(
+          "id"
+        );
+      });
+    });
+  });
+
+  describe("filterUnchangedLeads", () => {
+    test("should hash payloads independently of the order of keys", () => {
+      const hash = FilterUtil.getPayloadHash({
+        id: "lead_1",
+        name: "Acme",
+        custom: { a: 1, b: 2 }
+      });
+      expect(hash).toEqual(
+        FilterUtil.getPayloadHash({
+          custom: { b: 2, a: 1 },
+          name: "Acme",
+          id: "lead_1"
+        })
+      );
+      expect(FilterUtil.getPayloadHash({ name: "Acme" })).not.toEqual(
+        FilterUtil.getPayloadHash({ name: "Acme Inc." })
+      );
+    });
+
+    test("should skip leads whose payload has been written before", () => {
+      const cache = buildCache(
+        FilterUtil.getPayloadHash({ id: "lead_1", name: "Acme" })
+      );
+      const util = new FilterUtil({ cache });
+      const unchanged = {
+        hullAccount: { id: "1" },
+        cioLeadWrite: { id: "lead_1", name: "Acme" }
+      };
+      const changed = {
+        hullAccount: { id: "2" },
+        cioLeadWrite: { id: "lead_1", name: "Acme Inc." }
+      };
+
+      return util.filterUnchangedLeads([unchanged, changed]).then(results => {
+        expect(cache.get).toHaveBeenCalledWith("leadhash_1");
+        expect(results.toSkip).toEqual([unchanged]);
+        expect(unchanged.skipReason).toEqual(
+          SHARED_MESSAGES.OPERATION_SKIP_LEADUNCHANGED().message
+        );
+        expect(results.toUpdate).toEqual([changed]);
+      });
+    });
+  });
+});
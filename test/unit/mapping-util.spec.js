@@ -1,4 +1,5 @@
 const MappingUtil = require("../../server/lib/sync-agent/mapping-util");
+const SHARED_MESSAGES = require("../../server/lib/shared-messages");
 
 describe("MappingUtil", () => {
   test("should initialize mappings and lead creation status if appropriate settings are passed", () => {
@@ -148,4 +149,898 @@ describe("MappingUtil", () => {
 
     expect(svcObject).toEqual(expectedCloseObject);
   });
+
+  test("should map an event to a note using the template", () => {
+    const util = new MappingUtil({
+      attributeMappings: {},
+      eventsNoteTemplate:
+        "{{ event }}: {{ properties.plan }} {{properties.missing}}({{ properties.seats }})"
+    });
+    const event = {
+      event_id: "1234",
+      event: "Requested Demo",
+      properties: { plan: "Enterprise", seats: 10 }
+    };
+
+    expect(util.mapHullEventToNote(event, "lead_1")).toEqual({
+      lead_id: "lead_1",
+      note: "Requested Demo: Enterprise (10)\n\n[Hull event 1234]"
+    });
+  });
+
+  test("should map a close.io activity to a Hull event", () => {
+    const util = new MappingUtil({ attributeMappings: {} });
+    const activity = {
+      _type: "LeadStatusChange",
+      id: "acti_1234",
+      lead_id: "lead_1234",
+      contact_id: null,
+      user_id: "user_1234",
+      user_name: "Bob",
+      old_status_label: "Potential",
+      new_status_label: "Qualified",
+      date_created: "2018-07-17T09:02:11.349000+00:00"
+    };
+
+    expect(util.mapActivityToHullEvent(activity)).toEqual({
+      event: "Close.io Lead Status Changed",
+      properties: {
+        lead_id: "lead_1234",
+        user_id: "user_1234",
+        user_name: "Bob",
+        old_status_label: "Potential",
+        new_status_label: "Qualified"
+      },
+      context: {
+        event_id: "closeio:acti_1234",
+        created_at: "2018-07-17T09:02:11.349000+00:00",
+        source: "closeio",
+        type: "activity"
+      }
+    });
+  });
+
+  test("should not map activities of unsupported types", () => {
+    const util = new MappingUtil({ attributeMappings: {} });
+
+    expect(
+      util.mapActivityToHullEvent({ _type: "SMS", id: "acti_1234" })
+    ).toBeNull();
+  });
+
+  test("should map a Hull account to a close.io opportunity", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        opportunity_attributes_outbound: [
+          { hull_field_name: "mrr", closeio_field_name: "value" },
+          { hull_field_name: "score", closeio_field_name: "confidence" },
+          { hull_field_name: "stage", closeio_field_name: "status" },
+          { hull_field_name: "unknown_stage", closeio_field_name: "status" },
+          { hull_field_name: "owner", closeio_field_name: "user_id" }
+        ]
+      },
+      opportunityStatuses: [{ id: "stat_1", label: "Demo", type: "active" }]
+    });
+    const hullAccount = {
+      mrr: 99.99,
+      score: "42.4",
+      stage: "demo",
+      unknown_stage: "Negotiation",
+      owner: "user_1"
+    };
+
+    expect(util.mapHullAccountToOpportunity({ hullAccount })).toEqual({
+      value: 9999,
+      confidence: 42,
+      status_id: "stat_1",
+      user_id: "user_1"
+    });
+  });
+
+  test("should link exported contacts to the account of their lead by domain", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        lead_attributes_inbound: ["name"],
+        contact_attributes_inbound: ["name"]
+      },
+      leadCustomFields: []
+    });
+    const lead = {
+      id: "lead_1",
+      name: "Acme",
+      url: "https://acme.com"
+    };
+
+    const leadToImport = util.mapLeadToHullAccountImportObject(lead);
+    expect(leadToImport.traits.domain).toEqual("acme.com");
+
+    const withEmail = util.mapContactToHullUserImportObject(leadToImport, {
+      id: "cont_1",
+      name: "Jane",
+      emails: [{ email: "jane@acme.com", type: "office" }]
+    });
+    expect(withEmail.traits.email).toEqual("jane@acme.com");
+    expect(withEmail.anonymous_id).toEqual("closeio:cont_1");
+    expect(withEmail.account).toEqual({ domain: "acme.com" });
+
+    const withoutEmail = util.mapContactToHullUserImportObject(leadToImport, {
+      id: "cont_2",
+      name: "John",
+      emails: []
+    });
+    expect(withoutEmail.anonymous_id).toEqual("closeio:cont_2");
+    expect(withoutEmail.traits.email).toBeUndefined();
+  });
+
+  test("should escape quotes and backslashes in the query of the lead", () => {
+    const util = new MappingUtil({
+      attributeMappings: {},
+      leadCustomFields: [{ id: "cf_1", name: 'Hull "ID"' }],
+      leadIdentifierHull: "external_id",
+      leadIdentifierService: "custom.cf_1"
+    });
+
+    expect(
+      util.mapHullAccountToLeadQuery({ external_id: 'acme" OR "\\' })
+    ).toEqual('"custom.Hull \\"ID\\"":"acme\\" OR \\"\\\\"');
+  });
+
+  test("should link exported contacts to the account of their lead by external_id", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        lead_attributes_inbound: ["name"],
+        contact_attributes_inbound: ["name"]
+      },
+      leadCustomFields: [],
+      leadIdentifierHull: "external_id",
+      leadIdentifierService: "id"
+    });
+
+    const leadToImport = util.mapLeadToHullAccountImportObject({
+      id: "lead_1",
+      name: "Acme"
+    });
+    const contactToImport = util.mapContactToHullUserImportObject(
+      leadToImport,
+      { id: "cont_1", emails: [{ email: "jane@acme.com" }] }
+    );
+    expect(contactToImport.accountId).toEqual("lead_1");
+    expect(contactToImport.account).toBeUndefined();
+    expect(util.mapContactToHullUserImportObject({ traits: {} }, {})).toBe(
+      null
+    );
+  });
+
+  describe("lead status rules", () => {
+    const leadStatuses = [
+      { id: "stat_won", label: "Won" },
+      { id: "stat_lost", label: "Lost" },
+      { id: "stat_trial", label: "Trial" },
+      { id: "stat_badfit", label: "Bad Fit" }
+    ];
+    const leadStatusRules = [
+      { hull_segment_id: "seg_customers", closeio_status_id: "stat_won" },
+      { hull_segment_id: "seg_churned", closeio_status_id: "stat_lost" },
+      {
+        hull_field_name: "plan",
+        hull_field_value: "trial",
+        closeio_status_id: "stat_trial"
+      }
+    ];
+    const buildEnvelope = (account, segmentIds = []) => ({
+      hullAccount: account,
+      message: {
+        account,
+        account_segments: segmentIds.map(id => ({ id }))
+      }
+    });
+
+    test("should apply the status of the first matching rule", () => {
+      const util = new MappingUtil({
+        attributeMappings: {},
+        leadStatuses,
+        leadStatusRules
+      });
+
+      expect(
+        util.mapHullAccountToLead(
+          buildEnvelope({ plan: "trial" }, ["seg_customers", "seg_churned"])
+        ).status_id
+      ).toEqual("stat_won");
+      expect(
+        util.mapHullAccountToLead(buildEnvelope({ plan: "trial" }, []))
+          .status_id
+      ).toEqual("stat_trial");
+      expect(
+        util.mapHullAccountToLead(buildEnvelope({ plan: "pro" }, []))
+      ).not.toHaveProperty("status_id");
+    });
+
+    test("should not downgrade a status which comes first in the rules", () => {
+      const util = new MappingUtil({
+        attributeMappings: {},
+        leadStatuses,
+        leadStatusRules,
+        leadStatusNoDowngrade: true
+      });
+      const leadWrite = util.mapHullAccountToLead(
+        buildEnvelope({ "closeio/status": "Trial" }, ["seg_churned"])
+      );
+
+      // The status in close.io is compared, not the fetched attribute
+      expect(util.requiresMerge("Lead", leadWrite)).toBe(true);
+      expect(
+        util.mergeLead({ id: "lead_1", status_id: "stat_won" }, leadWrite)
+      ).not.toHaveProperty("status_id");
+      expect(
+        util.mergeLead({ id: "lead_1", status_id: "stat_trial" }, leadWrite)
+          .status_id
+      ).toEqual("stat_lost");
+      expect(
+        util.mergeLead({ id: "lead_1", status_id: "stat_lost" }, leadWrite)
+          .status_id
+      ).toEqual("stat_lost");
+    });
+
+    test("should keep a status which isn't used by any rule", () => {
+      const util = new MappingUtil({
+        attributeMappings: {},
+        leadStatuses,
+        leadStatusRules,
+        leadStatusNoDowngrade: true
+      });
+      const leadWrite = util.mapHullAccountToLead(
+        buildEnvelope({}, ["seg_customers"])
+      );
+
+      // "Bad Fit" has been set manually in close.io
+      expect(
+        util.mergeLead({ id: "lead_1", status_id: "stat_badfit" }, leadWrite)
+      ).not.toHaveProperty("status_id");
+      expect(util.mergeLead({ id: "lead_1" }, leadWrite).status_id).toEqual(
+        "stat_won"
+      );
+    });
+
+    test("should send the status without reading the lead if downgrades are allowed", () => {
+      const util = new MappingUtil({
+        attributeMappings: {},
+        leadStatuses,
+        leadStatusRules
+      });
+      const leadWrite = util.mapHullAccountToLead(
+        buildEnvelope({}, ["seg_churned"])
+      );
+
+      expect(util.requiresMerge("Lead", leadWrite)).toBe(false);
+      expect(
+        util.mergeLead({ id: "lead_1", status_id: "stat_won" }, leadWrite)
+          .status_id
+      ).toEqual("stat_lost");
+    });
+  });
+
+  describe("lead owner", () => {
+    const ownerField = "custom.lcf_Xq2gDewoLWRm0fGeembMeSAvLtX434koBAxcySLmJBV";
+    const util = new MappingUtil({
+      attributeMappings: { lead_attributes_inbound: [] },
+      leadCustomFields: [
+        {
+          id: "lcf_Xq2gDewoLWRm0fGeembMeSAvLtX434koBAxcySLmJBV",
+          name: "Owner",
+          type: "user"
+        }
+      ],
+      users: [
+        {
+          id: "user_1",
+          email: "jane@hull.io",
+          first_name: "Jane",
+          last_name: "Doe"
+        }
+      ],
+      leadOwnerHull: "owner_email",
+      leadOwnerField: ownerField
+    });
+
+    test("should resolve the owner email to the close.io user", () => {
+      const envelope = {
+        hullAccount: { domain: "acme.com", owner_email: " Jane@hull.io" },
+        message: {}
+      };
+      expect(util.mapHullAccountToLead(envelope)[ownerField]).toEqual(
+        "user_1"
+      );
+
+      envelope.hullAccount.owner_email = "nobody@hull.io";
+      expect(util.mapHullAccountToLead(envelope)).not.toHaveProperty(
+        ownerField
+      );
+    });
+
+    test("should fetch the name and email of the owner", () => {
+      const attributes = util.mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        custom: { Owner: "user_1" }
+      });
+      expect(attributes["closeio/owner_id"]).toEqual({
+        value: "user_1",
+        operation: "set"
+      });
+      expect(attributes["closeio/owner_email"].value).toEqual("jane@hull.io");
+      expect(attributes["closeio/owner_name"].value).toEqual("Jane Doe");
+    });
+  });
+
+  describe("contact custom fields", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        contact_attributes_outbound: [
+          {
+            hull_field_name: "traits_linkedin_handle",
+            closeio_field_name:
+              "custom.cf_8tLeEhp9DHm0CbqrW3OoBBlp9Msit8QmmftyHGdAXGX"
+          }
+        ],
+        contact_attributes_inbound: [
+          "name",
+          "custom.cf_8tLeEhp9DHm0CbqrW3OoBBlp9Msit8QmmftyHGdAXGX"
+        ]
+      },
+      leadCustomFields: [],
+      contactCustomFields: [
+        {
+          id: "cf_8tLeEhp9DHm0CbqrW3OoBBlp9Msit8QmmftyHGdAXGX",
+          name: "LinkedIn Handle",
+          type: "text"
+        }
+      ]
+    });
+
+    test("should map a Hull attribute to a contact custom field", () => {
+      const contact = util.mapHullUserToContact({
+        hullUser: {
+          traits_linkedin_handle: "jdoe",
+          account: { "closeio/id": "lead_1" }
+        }
+      });
+      expect(contact).toEqual({
+        "custom.cf_8tLeEhp9DHm0CbqrW3OoBBlp9Msit8QmmftyHGdAXGX": "jdoe",
+        lead_id: "lead_1"
+      });
+    });
+
+    test("should fetch contact custom fields with their human-readable name", () => {
+      const byId = util.mapContactToHullUserAttributes({
+        id: "cont_1",
+        name: "Jane Doe",
+        "custom.cf_8tLeEhp9DHm0CbqrW3OoBBlp9Msit8QmmftyHGdAXGX": "jdoe"
+      });
+      expect(byId["closeio/linked_in_handle"]).toEqual({
+        value: "jdoe",
+        operation: "set"
+      });
+
+      const byName = util.mapContactToHullUserAttributes({
+        id: "cont_1",
+        name: "Jane Doe",
+        custom: { "LinkedIn Handle": "janedoe" }
+      });
+      expect(byName["closeio/linked_in_handle"].value).toEqual("janedoe");
+    });
+  });
+
+  describe("opportunity custom fields", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        lead_attributes_inbound: [
+          "name",
+          "opportunity_custom.cf_qcHxT3IXVkeBvUdD3hmEPk1ZFWfD7oWx0PyGtcMjqsB"
+        ]
+      },
+      leadCustomFields: [],
+      opportunityCustomFields: [
+        {
+          id: "cf_qcHxT3IXVkeBvUdD3hmEPk1ZFWfD7oWx0PyGtcMjqsB",
+          name: "Contract Term",
+          type: "text"
+        }
+      ]
+    });
+
+    test("should fetch custom fields of the first opportunity with their human-readable name", () => {
+      const byId = util.mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        name: "Acme",
+        opportunities: [
+          {
+            id: "oppo_1",
+            "custom.cf_qcHxT3IXVkeBvUdD3hmEPk1ZFWfD7oWx0PyGtcMjqsB": "12 months"
+          },
+          {
+            id: "oppo_2",
+            "custom.cf_qcHxT3IXVkeBvUdD3hmEPk1ZFWfD7oWx0PyGtcMjqsB": "6 months"
+          }
+        ]
+      });
+      expect(byId["closeio/opportunity_contract_term"]).toEqual({
+        value: "12 months",
+        operation: "set"
+      });
+
+      const byName = util.mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        name: "Acme",
+        opportunities: [
+          { id: "oppo_1", custom: { "Contract Term": "24 months" } }
+        ]
+      });
+      expect(byName["closeio/opportunity_contract_term"].value).toEqual(
+        "24 months"
+      );
+
+      const withoutOpportunity = util.mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        name: "Acme",
+        opportunities: []
+      });
+      expect(withoutOpportunity).not.toHaveProperty(
+        "closeio/opportunity_contract_term"
+      );
+    });
+  });
+
+  describe("custom field value coercion", () => {
+    const customFields = [
+      { id: "lcf_number", name: "FTEs", type: "number" },
+      { id: "lcf_date", name: "Expansion Date", type: "date" },
+      { id: "lcf_text", name: "Company ID", type: "text" },
+      {
+        id: "lcf_choices",
+        name: "Plan",
+        type: "choices",
+        choices: ["Company", "Enterprise", "Team"]
+      },
+      {
+        id: "lcf_multiple",
+        name: "Competitor",
+        type: "choices",
+        choices: ["Concur", "Expensify", "Pleo"],
+        accepts_multiple_values: true
+      }
+    ];
+    const util = new MappingUtil({
+      attributeMappings: {
+        lead_attributes_outbound: [
+          {
+            hull_field_name: "employees",
+            closeio_field_name: "custom.lcf_number"
+          },
+          {
+            hull_field_name: "expanded_at",
+            closeio_field_name: "custom.lcf_date"
+          },
+          {
+            hull_field_name: "company_id",
+            closeio_field_name: "custom.lcf_text"
+          },
+          {
+            hull_field_name: "plan",
+            closeio_field_name: "custom.lcf_choices"
+          },
+          {
+            hull_field_name: "competitors",
+            closeio_field_name: "custom.lcf_multiple"
+          }
+        ]
+      },
+      leadCustomFields: customFields
+    });
+
+    test("should convert values to the type of the custom field", () => {
+      const envelope = {
+        hullAccount: {
+          employees: "42",
+          expanded_at: "2018-03-01T12:30:00Z",
+          company_id: 1234,
+          plan: "enterprise",
+          competitors: ["pleo", "Concur"]
+        },
+        skippedFields: []
+      };
+      expect(util.mapHullAccountToLead(envelope)).toEqual({
+        "custom.lcf_number": 42,
+        "custom.lcf_date": "2018-03-01",
+        "custom.lcf_text": "1234",
+        "custom.lcf_choices": "Enterprise",
+        "custom.lcf_multiple": ["Pleo", "Concur"]
+      });
+      expect(envelope.skippedFields).toEqual([]);
+    });
+
+    test("should skip fields with values which cannot be converted", () => {
+      const envelope = {
+        hullAccount: {
+          employees: "many",
+          expanded_at: "March 2018",
+          company_id: ["1234", "5678"],
+          plan: 3,
+          competitors: ["Pleo", "Coupa"]
+        },
+        skippedFields: []
+      };
+      expect(util.mapHullAccountToLead(envelope)).toEqual({});
+      expect(envelope.skippedFields).toEqual([
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          "employees",
+          customFields[0],
+          "many"
+        ),
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          "expanded_at",
+          customFields[1],
+          "March 2018"
+        ),
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          "company_id",
+          customFields[2],
+          ["1234", "5678"]
+        ),
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          "plan",
+          customFields[3],
+          3
+        ),
+        SHARED_MESSAGES.MAPPING_SKIP_CUSTOMFIELDVALUE(
+          "competitors",
+          customFields[4],
+          ["Pleo", "Coupa"]
+        )
+      ]);
+      expect(envelope.skippedFields[3].message).toEqual(
+        "The value 3 of the Hull attribute 'plan' cannot be converted to the choices field 'Plan' in close.io and won't be sent."
+      );
+    });
+
+    test("should unwrap arrays with a single value for single value fields", () => {
+      expect(
+        MappingUtil.coerceCustomFieldValue(customFields[3], ["team"])
+      ).toEqual("Team");
+      expect(MappingUtil.coerceCustomFieldValue(customFields[0], [])).toBe(
+        undefined
+      );
+    });
+  });
+
+  describe("addresses", () => {
+    const addresses = [
+      { label: "office", address_1: "747 Howard St", city: "San Francisco" },
+      {
+        label: "office",
+        address_1: "1 Main St",
+        city: "Boston",
+        zipcode: "02108"
+      },
+      { label: "mailing", city: "Paris" }
+    ];
+    const buildUtil = leadAddressPrimary =>
+      new MappingUtil({
+        attributeMappings: {
+          lead_attributes_outbound: [
+            { hull_field_name: "hq_address", closeio_field_name: "addresses" }
+          ],
+          lead_attributes_inbound: ["addresses"]
+        },
+        leadCustomFields: [],
+        leadAddressPrimary
+      });
+
+    test("should fetch all addresses with the first one of every label as primary", () => {
+      const attributes = buildUtil().mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        addresses
+      });
+      expect(attributes["closeio/address_office_address_1"].value).toEqual(
+        "747 Howard St"
+      );
+      expect(attributes["closeio/address_office_2_address_1"].value).toEqual(
+        "1 Main St"
+      );
+      expect(attributes["closeio/address_office_2_zipcode"].value).toEqual(
+        "02108"
+      );
+      expect(attributes["closeio/address_office_count"].value).toEqual(2);
+      expect(attributes["closeio/address_mailing_city"].value).toEqual("Paris");
+      expect(attributes["closeio/address_mailing_count"].value).toEqual(1);
+    });
+
+    test("should select the most complete address as primary", () => {
+      const util = buildUtil("most_complete");
+      const attributes = util.mapLeadToHullAccountAttributes({
+        id: "lead_1",
+        addresses
+      });
+      expect(attributes["closeio/address_office_city"].value).toEqual("Boston");
+      expect(attributes["closeio/address_office_2_city"].value).toEqual(
+        "San Francisco"
+      );
+      expect(attributes).not.toHaveProperty("closeio/address_office_2_zipcode");
+    });
+
+    test("should clear the addresses fetched before", () => {
+      const util = buildUtil();
+      const lead = { id: "lead_1", addresses: addresses.slice(0, 1) };
+      expect(MappingUtil.getAddressCounts({ id: "lead_1", addresses })).toEqual(
+        { office: 2, mailing: 1 }
+      );
+      const attributes = util.mapRemovedAddressesToHullAccountAttributes(
+        { office: 2, mailing: 1 },
+        lead
+      );
+      expect(attributes["closeio/address_office_city"].value).toBe(null);
+      expect(attributes["closeio/address_office_2_zipcode"].value).toBe(null);
+      expect(attributes["closeio/address_mailing_city"].value).toBe(null);
+      expect(attributes["closeio/address_mailing_count"].value).toBe(null);
+      expect(attributes).not.toHaveProperty("closeio/address_office_label");
+      expect(attributes).not.toHaveProperty("closeio/address_office_3_city");
+      expect(
+        util.mapRemovedAddressesToHullAccountAttributes(
+          { office: 2 },
+          { id: "lead_1" }
+        )
+      ).toEqual({});
+    });
+
+    test("should send addresses from a Hull attribute", () => {
+      const util = buildUtil();
+      expect(
+        util.mapHullAccountToLead({
+          hullAccount: {
+            hq_address: JSON.stringify({ city: "Berlin", country: "DE" })
+          }
+        })
+      ).toEqual({
+        addresses: [{ label: "office", city: "Berlin", country: "DE" }]
+      });
+
+      const envelope = {
+        hullAccount: { hq_address: "Berlin" },
+        skippedFields: []
+      };
+      expect(util.mapHullAccountToLead(envelope)).toEqual({});
+      expect(envelope.skippedFields).toHaveLength(1);
+    });
+
+    test("should assemble an address from address fields", () => {
+      const util = new MappingUtil({
+        attributeMappings: {
+          lead_attributes_outbound: [
+            {
+              hull_field_name: "hq_city",
+              closeio_field_name: "addresses.city"
+            },
+            {
+              hull_field_name: "hq_zip",
+              closeio_field_name: "addresses.zipcode"
+            },
+            {
+              hull_field_name: "hq_label",
+              closeio_field_name: "addresses.label"
+            }
+          ]
+        },
+        leadCustomFields: []
+      });
+      expect(
+        util.mapHullAccountToLead({
+          hullAccount: { hq_city: "Berlin", hq_zip: 10115 }
+        })
+      ).toEqual({
+        addresses: [{ label: "office", city: "Berlin", zipcode: "10115" }]
+      });
+      expect(
+        util.mapHullAccountToLead({ hullAccount: { hq_label: "business" } })
+      ).toEqual({});
+    });
+
+    test("should merge addresses into the primary address of their label", () => {
+      const merged = buildUtil("most_complete").mergeLead(
+        { id: "lead_1", addresses },
+        {
+          id: "lead_1",
+          addresses: [
+            { label: "office", city: "New York" },
+            { label: "mailing", city: "Paris" },
+            { label: "business", city: "Berlin" }
+          ]
+        }
+      );
+      expect(merged.addresses).toEqual([
+        addresses[0],
+        {
+          label: "office",
+          address_1: "1 Main St",
+          city: "New York",
+          zipcode: "02108"
+        },
+        addresses[2],
+        { label: "business", city: "Berlin" }
+      ]);
+    });
+  });
+
+  describe("merge strategies", () => {
+    const buildUtil = strategies =>
+      new MappingUtil({
+        attributeMappings: {
+          contact_attributes_outbound: [
+            {
+              hull_field_name: "email",
+              closeio_field_name: "emails.office",
+              merge_strategy: strategies.emails
+            },
+            {
+              hull_field_name: "phones",
+              closeio_field_name: "phones.mobile",
+              merge_strategy: strategies.phones
+            },
+            {
+              hull_field_name: "skills",
+              closeio_field_name: "custom.cf_skills",
+              merge_strategy: strategies.skills
+            }
+          ]
+        },
+        leadCustomFields: [],
+        contactCustomFields: [
+          {
+            id: "cf_skills",
+            name: "Skills",
+            type: "text",
+            accepts_multiple_values: true
+          }
+        ]
+      });
+    const hullUser = {
+      email: "jane@hull.io",
+      phones: ["+49 30 1234", "+49 30 5678", "+49 30 1234"],
+      skills: ["sales"]
+    };
+    const contactRead = {
+      id: "cont_1",
+      emails: [
+        { type: "office", email: "jane@acme.com" },
+        { type: "home", email: "jane@home.com" }
+      ],
+      phones: [],
+      "custom.cf_skills": ["support"]
+    };
+
+    test("should map every value of an array attribute to a separate entry", () => {
+      const contactWrite = buildUtil({}).mapHullUserToContact({ hullUser });
+      expect(contactWrite.phones).toEqual([
+        { type: "mobile", phone: "+49 30 1234" },
+        { type: "mobile", phone: "+49 30 5678" }
+      ]);
+    });
+
+    test("should add new values by default to phones and emails only", () => {
+      const util = buildUtil({});
+      const merged = util.mergeContact(
+        contactRead,
+        util.mapHullUserToContact({ hullUser })
+      );
+      expect(merged.emails).toEqual([
+        { type: "office", email: "jane@acme.com" },
+        { type: "home", email: "jane@home.com" },
+        { type: "office", email: "jane@hull.io" }
+      ]);
+      expect(merged["custom.cf_skills"]).toEqual(["sales"]);
+    });
+
+    test("should replace the values of the same type", () => {
+      const util = buildUtil({ emails: "replace", skills: "append-unique" });
+      const merged = util.mergeContact(
+        contactRead,
+        util.mapHullUserToContact({ hullUser })
+      );
+      expect(merged.emails).toEqual([
+        { type: "home", email: "jane@home.com" },
+        { type: "office", email: "jane@hull.io" }
+      ]);
+      expect(merged["custom.cf_skills"]).toEqual(["support", "sales"]);
+    });
+
+    test("should only set values which are empty in close.io", () => {
+      const util = buildUtil({
+        emails: "set-if-empty",
+        phones: "set-if-empty",
+        skills: "set-if-empty"
+      });
+      const contactWrite = util.mapHullUserToContact({ hullUser });
+      expect(util.requiresMerge("Contact", contactWrite)).toBe(true);
+      const merged = util.mergeContact(contactRead, contactWrite);
+      expect(merged.emails).toEqual(contactRead.emails);
+      expect(merged.phones).toHaveLength(2);
+      expect(Object.keys(merged)).not.toContain("custom.cf_skills");
+    });
+  });
+
+  describe("overwrite policy", () => {
+    const util = new MappingUtil({
+      attributeMappings: {
+        lead_attributes_outbound: [
+          { hull_field_name: "name", closeio_field_name: "name" },
+          {
+            hull_field_name: "description",
+            closeio_field_name: "description",
+            overwrite: false
+          },
+          {
+            hull_field_name: "industry",
+            closeio_field_name: "custom.lcf_industry",
+            overwrite: false
+          },
+          {
+            hull_field_name: "hq_city",
+            closeio_field_name: "addresses.city",
+            overwrite: false
+          },
+          {
+            hull_field_name: "hq_country",
+            closeio_field_name: "addresses.country"
+          }
+        ]
+      },
+      leadCustomFields: [{ id: "lcf_industry", name: "Industry", type: "text" }]
+    });
+    const leadWrite = {
+      id: "lead_1",
+      name: "Acme Inc.",
+      description: "Rockets",
+      "custom.lcf_industry": "Aerospace",
+      addresses: [{ label: "office", city: "Berlin", country: "DE" }]
+    };
+
+    test("should read the lead in close.io if a field must not be overwritten", () => {
+      expect(util.requiresMerge("Lead", { id: "lead_1", name: "Acme" })).toBe(
+        false
+      );
+      expect(
+        util.requiresMerge("Lead", { id: "lead_1", description: "Rockets" })
+      ).toBe(true);
+    });
+
+    test("should only send fields which are empty in close.io", () => {
+      const merged = util.mergeLead(
+        {
+          id: "lead_1",
+          name: "Acme",
+          description: "Edited by sales",
+          custom: { Industry: "Space" },
+          addresses: [{ label: "office", city: "Boston", country: "US" }]
+        },
+        leadWrite
+      );
+      expect(merged.name).toEqual("Acme Inc.");
+      expect(Object.keys(merged)).not.toContain("description");
+      expect(Object.keys(merged)).not.toContain("custom.lcf_industry");
+      expect(merged.addresses).toEqual([
+        { label: "office", city: "Boston", country: "DE" }
+      ]);
+    });
+
+    test("should send fields which are empty in close.io", () => {
+      const merged = util.mergeLead(
+        {
+          id: "lead_1",
+          name: "Acme",
+          description: " ",
+          addresses: [{ label: "office", country: "US" }]
+        },
+        leadWrite
+      );
+      expect(merged).toEqual(leadWrite);
+    });
+  });
 });
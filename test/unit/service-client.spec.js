@@ -0,0 +1,134 @@
+const nock = require("nock");
+const { DateTime } = require("luxon");
+const ServiceClient = require("../../server/lib/service-client");
+
+describe("ServiceClient", () => {
+  const buildClient = () => {
+    const client = new ServiceClient({
+      baseApiUrl: "https://app.close.io/api/v1",
+      apiKey: "retry_test_key",
+      loggerClient: {
+        info: jest.fn(),
+        debug: jest.fn(),
+        error: jest.fn(),
+        warn: jest.fn(),
+        log: jest.fn()
+      },
+      metricsClient: { increment: jest.fn(), value: jest.fn() }
+    });
+    client.retryBaseDelay = 1;
+    return client;
+  };
+
+  const getRetryCalls = client =>
+    client.metricsClient.increment.mock.calls.filter(
+      ([name]) => name === "ship.service_api.retry"
+    );
+
+  const envelope = {
+    cioLeadWrite: { id: "lead_1", name: "Acme" }
+  };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test("should retry a rate limited request after the Retry-After delay", () => {
+    const client = buildClient();
+    nock("https://app.close.io")
+      .put("/api/v1/lead/lead_1/")
+      .reply(429, { error: "Too many requests" }, { "Retry-After": "0.01" });
+    nock("https://app.close.io")
+      .put("/api/v1/lead/lead_1/")
+      .reply(200, { id: "lead_1", name: "Acme" });
+
+    return client.putLeadEnvelopes([envelope]).then(results => {
+      expect(results[0].cioLeadRead).toEqual({ id: "lead_1", name: "Acme" });
+      expect(results[0].error).toBeUndefined();
+      expect(getRetryCalls(client)).toHaveLength(1);
+      expect(nock.isDone()).toBe(true);
+    });
+  });
+
+  test("should give up on server errors once the retry budget is exhausted", () => {
+    const client = buildClient();
+    client.retryMaxAttempts = 2;
+    nock("https://app.close.io")
+      .put("/api/v1/lead/lead_1/")
+      .times(3)
+      .reply(503, { error: "Service unavailable" });
+
+    return client.putLeadEnvelopes([envelope]).then(results => {
+      expect(results[0].error).toEqual({ error: "Service unavailable" });
+      expect(getRetryCalls(client)).toHaveLength(2);
+      expect(nock.isDone()).toBe(true);
+    });
+  });
+
+  test("should not retry before a Retry-After delay longer than the maximum delay", () => {
+    const client = buildClient();
+    nock("https://app.close.io")
+      .put("/api/v1/lead/lead_1/")
+      .reply(429, { error: "Too many requests" }, { "Retry-After": "60" });
+
+    return client.putLeadEnvelopes([envelope]).then(results => {
+      expect(results[0].error).toEqual({ error: "Too many requests" });
+      expect(getRetryCalls(client)).toHaveLength(0);
+      expect(nock.isDone()).toBe(true);
+    });
+  });
+
+  test("should retry a failed page of the leads stream", () => {
+    const client = buildClient();
+    nock("https://app.close.io")
+      .get("/api/v1/lead/")
+      .query(true)
+      .reply(503, { error: "Service unavailable" });
+    nock("https://app.close.io")
+      .get("/api/v1/lead/")
+      .query(true)
+      .reply(200, { data: [], has_more: false });
+
+    const pages = [];
+    return new Promise((resolve, reject) => {
+      client
+        .getLeadsStream(DateTime.fromISO("2018-07-17T08:00:00Z"))
+        .on("data", page => pages.push(page))
+        .on("end", resolve)
+        .on("error", reject);
+    }).then(() => {
+      expect(pages).toHaveLength(1);
+      expect(getRetryCalls(client)).toHaveLength(1);
+      expect(nock.isDone()).toBe(true);
+    });
+  });
+
+  test("should not retry client errors", () => {
+    const client = buildClient();
+    nock("https://app.close.io")
+      .put("/api/v1/lead/lead_1/")
+      .reply(400, { "field-errors": { name: "Invalid" } });
+
+    return client.putLeadEnvelopes([envelope]).then(results => {
+      expect(results[0].error).toEqual({ "field-errors": { name: "Invalid" } });
+      expect(getRetryCalls(client)).toHaveLength(0);
+    });
+  });
+
+  test("should slow down the throttle when only few requests are remaining", () => {
+    const throttle = { rate: 40, options: jest.fn() };
+
+    ServiceClient.adaptThrottle(throttle, "5", "2.5");
+    expect(throttle.options).toHaveBeenCalledWith({ rate: 5, ratePer: 2500 });
+
+    ServiceClient.adaptThrottle(throttle, undefined, "2.5");
+    expect(throttle.options).toHaveBeenCalledTimes(1);
+
+    throttle.rate = 5;
+    ServiceClient.adaptThrottle(throttle, "600", "0");
+    expect(throttle.options).toHaveBeenLastCalledWith({
+      rate: 40,
+      ratePer: 1000
+    });
+  });
+});